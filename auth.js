@@ -1,13 +1,24 @@
 // auth.js - Appwrite SDK-based authentication
 import { Client, Account } from "npm:node-appwrite@13.0.0";
-import { createOrUpdateUser } from "./database.js";
+import { createOrUpdateUser, findActiveApiKey } from "./database.js";
+import { log, addLogContext } from "./logger.js";
 
 const APPWRITE_ENDPOINT = Deno.env.get("APPWRITE_ENDPOINT") || "https://cloud.appwrite.io/v1";
 const APPWRITE_PROJECT_ID = Deno.env.get("APPWRITE_PROJECT_ID");
+const API_KEY_PREFIX = "nvr_";
+
+// Who may invoke a function
+export const AUTH_MODES = ["public", "owner", "api_key"];
+// HTTP methods each API key scope allows (null = any)
+const API_KEY_SCOPE_METHODS = {
+  invoke: null,
+  read: ["GET", "HEAD", "OPTIONS"],
+};
+export const API_KEY_SCOPES = Object.keys(API_KEY_SCOPE_METHODS);
 
 export async function verifyToken(jwt) {
   try {
-    console.log("[Novirun Auth] Verifying JWT with Appwrite SDK...");
+    log.debug("Verifying JWT with Appwrite");
     
     // Create a client with the user's JWT
     const userClient = new Client()
@@ -20,13 +31,13 @@ export async function verifyToken(jwt) {
     // Get account info using the JWT - this will validate the token
     const user = await account.get();
     
-    console.log("[Novirun Auth] User verified:", user.$id);
+    log.debug("User verified", { appwriteUserId: user.$id });
     
     // Create or update user in our database
     const dbUser = await createOrUpdateUser(user.$id, user.email);
     return dbUser;
   } catch (error) {
-    console.error("[Novirun Auth] Token verification failed:", error.message);
+    log.warn("Token verification failed", { error: error.message });
     return null;
   }
 }
@@ -34,7 +45,7 @@ export async function verifyToken(jwt) {
 export async function getAuthUser(request) {
   const authHeader = request.headers.get("authorization");
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    console.log("[Novirun Auth] No Bearer token found");
+    log.debug("No bearer token in request");
     return null;
   }
 
@@ -50,5 +61,81 @@ export async function requireAuth(ctx, next) {
     return;
   }
   ctx.state.user = user;
+  addLogContext({ userId: user.id });
+  await next();
+}
+
+export async function requireAdmin(ctx, next) {
+  const adminKey = Deno.env.get("ADMIN_KEY");
+  if (!adminKey || ctx.request.headers.get("X-Admin-Key") !== adminKey) {
+    ctx.response.status = 401;
+    ctx.response.body = { error: "Unauthorized Admin Access" };
+    return;
+  }
   await next();
 }
+
+// ============ FUNCTION INVOCATION AUTH ============
+
+export async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Creates a new random API key. Only the hash is stored; the key itself is
+ * shown to the owner once. The prefix identifies the key in listings.
+ */
+export async function generateApiKey() {
+  const secret = Array.from(crypto.getRandomValues(new Uint8Array(24)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  const key = `${API_KEY_PREFIX}${secret}`;
+  return { key, keyPrefix: key.slice(0, API_KEY_PREFIX.length + 8), keyHash: await hashApiKey(key) };
+}
+
+/**
+ * Decides whether a request may invoke the function, before any worker is
+ * started. Returns { caller } with the calling identity, or { status, error }.
+ * API keys are read from X-API-Key or an "Authorization: Bearer nvr_..." header.
+ */
+export async function authorizeInvocation(request, func) {
+  switch (func.auth_mode || "public") {
+    case "public":
+      return { caller: { type: "public" } };
+
+    case "owner": {
+      const user = await getAuthUser(request);
+      if (!user) {
+        return { status: 401, error: "Authentication required" };
+      }
+      if (user.id !== func.user_id) {
+        return { status: 403, error: "Only the function owner may invoke this function" };
+      }
+      return { caller: { type: "owner", userId: user.id } };
+    }
+
+    case "api_key": {
+      const authHeader = request.headers.get("authorization") || "";
+      const key = request.headers.get("x-api-key") ||
+        (authHeader.startsWith(`Bearer ${API_KEY_PREFIX}`) ? authHeader.substring(7) : null);
+      if (!key) {
+        return { status: 401, error: "API key required" };
+      }
+
+      const apiKey = await findActiveApiKey(func.id, await hashApiKey(key));
+      if (!apiKey) {
+        return { status: 401, error: "Invalid API key" };
+      }
+      const allowed = apiKey.scopes.some((scope) => {
+        const methods = API_KEY_SCOPE_METHODS[scope];
+        return methods === null || methods?.includes(request.method);
+      });
+      if (!allowed) {
+        return { status: 403, error: `API key scopes do not allow ${request.method} requests` };
+      }
+      return { caller: { type: "api_key", keyId: apiKey.id, keyName: apiKey.name, scopes: apiKey.scopes } };
+    }
+
+    default:
+      return { status: 500, error: `Unknown auth mode: ${func.auth_mode}` };
+  }
+}
@@ -0,0 +1,311 @@
+// bundle.js - Multi-file function bundles, built into a single module at deploy time
+// A bundle is { files: { "<path>": "<source>" }, entrypoint, importMap }. It is
+// compiled with `deno bundle`, which resolves local imports and npm:/jsr:
+// dependencies once (caching them in DENO_DIR) and inlines them, so workers
+// run the result without network or filesystem access.
+
+const MAX_BUNDLE_FILES = 500;
+const MAX_BUNDLE_BYTES = 10000000; // 10MB of source across all files
+const MAX_BUILT_BYTES = 10000000; // 10MB built module
+const BUILD_TIMEOUT_MS = 120000;
+const SOURCE_EXTENSIONS = [".js", ".mjs", ".jsx", ".ts", ".mts", ".tsx", ".json"];
+// Only what `deno bundle` needs to find its cache and registries; the control
+// plane's own secrets stay out of the build
+const BUILD_ENV_VARS = ["PATH", "HOME", "DENO_DIR", "NPM_CONFIG_REGISTRY", "HTTPS_PROXY", "HTTP_PROXY", "NO_PROXY"];
+
+/**
+ * Normalizes a bundle path to "dir/file.ts" form. Returns null for absolute
+ * paths or paths that climb out of the bundle.
+ */
+function normalizePath(path) {
+  if (typeof path !== "string" || path.startsWith("/") || path.includes("\\") || path.includes("\0")) {
+    return null;
+  }
+  const parts = [];
+  for (const part of path.split("/")) {
+    if (part === "" || part === ".") continue;
+    if (part === "..") return null;
+    parts.push(part);
+  }
+  return parts.length > 0 ? parts.join("/") : null;
+}
+
+export function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== "object") {
+    return { valid: false, error: "Bundle is required" };
+  }
+  const { files, entrypoint, importMap = null } = bundle;
+  if (!files || typeof files !== "object" || Array.isArray(files)) {
+    return { valid: false, error: "Bundle files must be an object of path to source" };
+  }
+
+  const paths = Object.keys(files);
+  if (paths.length === 0 || paths.length > MAX_BUNDLE_FILES) {
+    return { valid: false, error: `Bundle must contain between 1 and ${MAX_BUNDLE_FILES} files` };
+  }
+  let totalBytes = 0;
+  for (const path of paths) {
+    if (normalizePath(path) !== path) {
+      return { valid: false, error: `Invalid file path: ${path}` };
+    }
+    if (typeof files[path] !== "string") {
+      return { valid: false, error: `File ${path} must be a string` };
+    }
+    totalBytes += files[path].length;
+  }
+  if (totalBytes > MAX_BUNDLE_BYTES) {
+    return { valid: false, error: "Bundle exceeds maximum size (10MB)" };
+  }
+
+  if (typeof entrypoint !== "string" || !(entrypoint in files)) {
+    return { valid: false, error: "Entrypoint must name one of the bundle files" };
+  }
+  if (!SOURCE_EXTENSIONS.some((ext) => entrypoint.endsWith(ext)) || entrypoint.endsWith(".json")) {
+    return { valid: false, error: "Entrypoint must be a JavaScript or TypeScript file" };
+  }
+
+  if (importMap !== null) {
+    if (typeof importMap !== "object" || Array.isArray(importMap)) {
+      return { valid: false, error: "Import map must be an object" };
+    }
+    for (const key of ["imports", "scopes"]) {
+      if (importMap[key] !== undefined && (typeof importMap[key] !== "object" || Array.isArray(importMap[key]))) {
+        return { valid: false, error: `Import map "${key}" must be an object` };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Writes bundle sources under `${dir}/src` and the import map to
+ * `${dir}/deno.json`, kept outside src/ so a bundled deno.json can't override it.
+ */
+export async function writeSources(dir, files, importMap = null) {
+  for (const [path, source] of Object.entries(files)) {
+    const target = `${dir}/src/${path}`;
+    await Deno.mkdir(target.slice(0, target.lastIndexOf("/")), { recursive: true });
+    await Deno.writeTextFile(target, source);
+  }
+  await Deno.writeTextFile(`${dir}/deno.json`, JSON.stringify({
+    imports: importMap?.imports || {},
+    scopes: importMap?.scopes || {},
+  }));
+}
+
+/**
+ * Runs a deno subcommand in `dir` with a minimal environment. Resolves to
+ * { success, timedOut, stderr } with stderr cleaned up for users.
+ */
+export async function runDeno(args, dir) {
+  const env = { NO_COLOR: "1" };
+  for (const name of BUILD_ENV_VARS) {
+    const value = Deno.env.get(name);
+    if (value !== undefined) env[name] = value;
+  }
+
+  const command = new Deno.Command(Deno.execPath(), {
+    args,
+    cwd: dir,
+    clearEnv: true,
+    env,
+    stdout: "null",
+    stderr: "piped",
+    signal: AbortSignal.timeout(BUILD_TIMEOUT_MS),
+  });
+
+  try {
+    const output = await command.output();
+    return { success: output.success, timedOut: false, stderr: cleanOutput(new TextDecoder().decode(output.stderr), dir) };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      return { success: false, timedOut: true, stderr: "" };
+    }
+    throw error;
+  }
+}
+
+// Drops colors, backtraces and the temp directory from deno's output
+function cleanOutput(stderr, dir) {
+  const lines = stderr
+    // deno-lint-ignore no-control-regex
+    .replace(/\x1b\[[0-9;]*m/g, "")
+    .replaceAll(`file://${dir}/src/`, "")
+    .replaceAll(`${dir}/src/`, "")
+    .split("\n");
+  const end = lines.findIndex((line) => line.startsWith("Stack backtrace"));
+  return (end === -1 ? lines : lines.slice(0, end)).join("\n").trim();
+}
+
+/**
+ * Builds a validated bundle into one ES module. Resolves to { valid, code }
+ * on success or { valid: false, error } with the bundler's message when the
+ * code or its dependencies can't be resolved.
+ */
+export async function buildBundle({ files, entrypoint, importMap = null }) {
+  const dir = await Deno.makeTempDir({ prefix: "novirun-bundle-" });
+  try {
+    await writeSources(dir, files, importMap);
+
+    const result = await runDeno(
+      ["bundle", "--quiet", "--config", `${dir}/deno.json`, "--output", `${dir}/out.js`, `${dir}/src/${entrypoint}`],
+      dir,
+    );
+    if (result.timedOut) {
+      return { valid: false, error: `Bundle build timed out after ${BUILD_TIMEOUT_MS / 1000}s` };
+    }
+    if (!result.success) {
+      return { valid: false, error: result.stderr || "Bundle build failed" };
+    }
+
+    const code = await Deno.readTextFile(`${dir}/out.js`);
+    if (code.length > MAX_BUILT_BYTES) {
+      return { valid: false, error: "Built bundle exceeds maximum size (10MB)" };
+    }
+    return { valid: true, code };
+  } finally {
+    await Deno.remove(dir, { recursive: true }).catch(() => {});
+  }
+}
+
+// ============ ARCHIVES ============
+
+/**
+ * Reads the files out of an uploaded tar, tar.gz or zip archive. Directories
+ * are skipped, and a single top-level folder wrapping everything is stripped.
+ * A root import_map.json (or the "imports"/"scopes" of a root deno.json) is
+ * returned as the bundle's import map.
+ */
+export async function readBundleArchive(bytes) {
+  let entries;
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+    entries = await readZip(bytes);
+  } else if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    entries = readTar(await decompress(bytes, "gzip"));
+  } else {
+    entries = readTar(bytes);
+  }
+
+  entries = entries.filter(({ path }) => !path.startsWith("__MACOSX/"));
+  const roots = new Set(entries.map(({ path }) => path.split("/")[0]));
+  if (roots.size === 1 && entries.every(({ path }) => path.includes("/"))) {
+    const prefix = `${[...roots][0]}/`;
+    entries = entries.map((entry) => ({ ...entry, path: entry.path.slice(prefix.length) }));
+  }
+
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  const files = {};
+  for (const { path, data } of entries) {
+    const normalized = normalizePath(path);
+    if (!normalized) {
+      throw new Error(`Invalid file path in archive: ${path}`);
+    }
+    try {
+      files[normalized] = decoder.decode(data);
+    } catch {
+      throw new Error(`File ${normalized} is not valid UTF-8 text`);
+    }
+  }
+
+  let importMap = null;
+  const mapSource = files["import_map.json"] ?? files["deno.json"];
+  if (mapSource !== undefined) {
+    try {
+      const { imports, scopes } = JSON.parse(mapSource);
+      if (imports || scopes) importMap = { imports, scopes };
+    } catch {
+      throw new Error("Archive import map is not valid JSON");
+    }
+  }
+
+  return { files, importMap };
+}
+
+async function decompress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function readString(bytes, start, length) {
+  const field = bytes.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? field : field.subarray(0, end));
+}
+
+// ustar/pax/GNU tar: 512-byte headers, each followed by its data padded to 512
+function readTar(bytes) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= bytes.length) {
+    const header = bytes.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) break;
+
+    const size = parseInt(readString(header, 124, 12).trim() || "0", 8);
+    const type = String.fromCharCode(header[156]);
+    const data = bytes.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === "L") {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === "x") {
+      const match = new TextDecoder().decode(data).match(/\d+ path=([^\n]*)\n/);
+      if (match) longName = match[1];
+      continue;
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const path = longName ?? (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+
+    if (type === "0" || type === "\0") {
+      entries.push({ path, data });
+    }
+  }
+  return entries;
+}
+
+// Zip: walk the central directory, then inflate each stored or deflated file
+async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) {
+    throw new Error("Invalid zip archive");
+  }
+
+  const entries = [];
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Invalid zip archive");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith("/")) continue;
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.push({ path, data: raw });
+    } else if (method === 8) {
+      entries.push({ path, data: await decompress(raw, "deflate-raw") });
+    } else {
+      throw new Error(`Unsupported zip compression for ${path}`);
+    }
+  }
+  return entries;
+}
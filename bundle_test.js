@@ -0,0 +1,169 @@
+// bundle_test.js - Tests for bundle validation and the tar/zip readers
+import assert from "node:assert/strict";
+import { validateBundle, readBundleArchive } from "./bundle.js";
+
+const encoder = new TextEncoder();
+
+async function compress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concat(chunks) {
+  const result = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+// A ustar archive of [{ path, text, type?, prefix? }]
+function tar(entries) {
+  const blocks = [];
+  for (const { path, text = "", type = "0", prefix = "" } of entries) {
+    const data = encoder.encode(text);
+    const header = new Uint8Array(512);
+    const put = (offset, value) => header.set(encoder.encode(value), offset);
+    put(0, path);
+    put(100, "0000644\0");
+    put(124, `${data.length.toString(8).padStart(11, "0")}\0`);
+    put(136, "00000000000\0");
+    put(148, "        ");
+    put(156, type);
+    put(257, "ustar\x0000");
+    put(345, prefix);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    put(148, `${checksum.toString(8).padStart(6, "0")}\0 `);
+    blocks.push(header, data, new Uint8Array((512 - data.length % 512) % 512));
+  }
+  blocks.push(new Uint8Array(1024));
+  return concat(blocks);
+}
+
+// A zip archive of [{ path, text, deflate? }]
+async function zip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { path, text = "", deflate = false } of entries) {
+    const name = encoder.encode(path);
+    const raw = encoder.encode(text);
+    const data = deflate ? await compress(raw, "deflate-raw") : raw;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, deflate ? 8 : 0, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(10, deflate ? 8 : 0, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, raw.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const directory = concat(central);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directory.length, true);
+  end.setUint32(16, offset, true);
+  return concat([...locals, directory, new Uint8Array(end.buffer)]);
+}
+
+Deno.test("validateBundle accepts a well-formed bundle", () => {
+  const bundle = {
+    files: { "main.ts": "export default {}", "lib/util.ts": "" },
+    entrypoint: "main.ts",
+    importMap: { imports: { "lodash": "npm:lodash@4" } },
+  };
+  assert.deepEqual(validateBundle(bundle), { valid: true });
+});
+
+Deno.test("validateBundle rejects bad paths, entrypoints and import maps", () => {
+  const files = { "main.ts": "" };
+  assert.equal(validateBundle({ files: { "../x.ts": "" }, entrypoint: "../x.ts" }).error, "Invalid file path: ../x.ts");
+  assert.equal(validateBundle({ files: { "/etc/x.ts": "" }, entrypoint: "/etc/x.ts" }).error, "Invalid file path: /etc/x.ts");
+  assert.equal(validateBundle({ files: { "a//b.ts": "" }, entrypoint: "a//b.ts" }).error, "Invalid file path: a//b.ts");
+  assert.equal(validateBundle({ files: { "main.ts": 1 }, entrypoint: "main.ts" }).error, "File main.ts must be a string");
+  assert.equal(validateBundle({ files, entrypoint: "other.ts" }).error, "Entrypoint must name one of the bundle files");
+  assert.equal(
+    validateBundle({ files: { "data.json": "{}" }, entrypoint: "data.json" }).error,
+    "Entrypoint must be a JavaScript or TypeScript file",
+  );
+  assert.equal(validateBundle({ files, entrypoint: "main.ts", importMap: [] }).error, "Import map must be an object");
+  assert.equal(
+    validateBundle({ files, entrypoint: "main.ts", importMap: { imports: [] } }).error,
+    'Import map "imports" must be an object',
+  );
+});
+
+Deno.test("readBundleArchive reads a tar and strips a wrapping folder", async () => {
+  const archive = tar([
+    { path: "project/", type: "5" },
+    { path: "project/main.ts", text: "import { x } from './lib/x.ts';" },
+    { path: "project/lib/x.ts", text: "export const x = 1;" },
+    { path: "project/import_map.json", text: '{ "imports": { "a": "npm:a" } }' },
+  ]);
+  assert.deepEqual(await readBundleArchive(archive), {
+    files: {
+      "main.ts": "import { x } from './lib/x.ts';",
+      "lib/x.ts": "export const x = 1;",
+      "import_map.json": '{ "imports": { "a": "npm:a" } }',
+    },
+    importMap: { imports: { a: "npm:a" }, scopes: undefined },
+  });
+});
+
+Deno.test("readBundleArchive reads gzipped tars and long names", async () => {
+  const longPath = `${"dir/".repeat(30)}main.ts`;
+  const archive = tar([
+    { path: "././@LongLink", type: "L", text: `${longPath}\0` },
+    { path: longPath.slice(0, 99), text: "long" },
+    { path: "x.ts", prefix: "nested", text: "prefixed" },
+    { path: "PaxHeader", type: "x", text: "15 path=pax.ts\n" },
+    { path: "ignored-name.ts", text: "pax" },
+  ]);
+  const { files } = await readBundleArchive(await compress(archive, "gzip"));
+  assert.deepEqual(files, { [longPath]: "long", "nested/x.ts": "prefixed", "pax.ts": "pax" });
+});
+
+Deno.test("readBundleArchive reads stored and deflated zip entries", async () => {
+  const archive = await zip([
+    { path: "src/" },
+    { path: "src/main.ts", text: "export default { fetch() {} }", deflate: true },
+    { path: "deno.json", text: '{ "imports": { "b": "jsr:@b/b" }, "tasks": {} }' },
+    { path: "__MACOSX/._main.ts", text: "junk" },
+  ]);
+  assert.deepEqual(await readBundleArchive(archive), {
+    files: {
+      "src/main.ts": "export default { fetch() {} }",
+      "deno.json": '{ "imports": { "b": "jsr:@b/b" }, "tasks": {} }',
+    },
+    importMap: { imports: { b: "jsr:@b/b" }, scopes: undefined },
+  });
+});
+
+Deno.test("readBundleArchive rejects unsafe or unreadable archives", async () => {
+  await assert.rejects(readBundleArchive(tar([{ path: "a.ts" }, { path: "../evil.ts" }])), /Invalid file path in archive: \.\.\/evil\.ts/);
+  await assert.rejects(readBundleArchive(tar([{ path: "a.ts", text: "x" }, { path: "import_map.json", text: "{" }])), /not valid JSON/);
+  await assert.rejects(readBundleArchive(encoder.encode("PK not really a zip")), /Invalid zip archive/);
+
+  const binary = tar([{ path: "a.bin", text: "x" }]);
+  binary[512] = 0xff;
+  await assert.rejects(readBundleArchive(binary), /File a\.bin is not valid UTF-8 text/);
+});
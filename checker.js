@@ -0,0 +1,124 @@
+// checker.js - Deploy-time syntax and type checks for function code
+// JavaScript is parsed and TypeScript is type-checked with `deno check`, so
+// broken code is rejected at deploy instead of failing on its first run.
+import { writeSources, runDeno } from "./bundle.js";
+import { detectFunctionFormat } from "./utils.js";
+
+// Snippets are checked inside the same wrapper the worker runs them in; the
+// user's first line is line 3 of the checked file
+const SNIPPET_PREFIX_LINES = 2;
+const SNIPPET_WRAPPERS = {
+  javascript: {
+    before: [
+      "export default async (req, input, env, ctx) => {",
+      "  return await (async () => {",
+    ],
+    after: [
+      "  })();",
+      "};",
+    ],
+  },
+  typescript: {
+    before: [
+      "export default async (req: Request, input: any, env: Readonly<Record<string, string>>, ctx: SnippetContext): Promise<Response> => {",
+      "  return await (async () => {",
+    ],
+    after: [
+      "  })();",
+      "};",
+      "interface SnippetContext {",
+      "  input: any;",
+      "  params: Readonly<Record<string, string>>;",
+      "  caller: { type: \"public\" | \"owner\" | \"api_key\" | \"cron\"; userId?: string; keyId?: string; keyName?: string; scopes?: string[]; scheduleId?: string };",
+      "  waitUntil(promise: Promise<unknown>): void;",
+      "}",
+    ],
+  },
+};
+
+const TS_ERROR = /^(TS\d+) \[ERROR\]: (.*)$/;
+const DENO_ERROR = /^error: (.*)$/;
+const LOCATION = /^\s+at (.+):(\d+):(\d+)$/;
+
+/**
+ * Checks the code of a deploy. `source` is either { code, language } or a
+ * bundle { files, entrypoint, importMap }. Resolves to a list of diagnostics
+ * { file, line, column, code, message }, empty when the code is fine. Lines
+ * and columns are 1-based and point into the user's own files; `file` is null
+ * for single-file code.
+ */
+export async function checkSource(source) {
+  const dir = await Deno.makeTempDir({ prefix: "novirun-check-" });
+  try {
+    let entrypoint;
+    let mapLine = (line) => line;
+    if (source.files) {
+      entrypoint = source.entrypoint;
+      await writeSources(dir, source.files, source.importMap);
+    } else {
+      const language = source.language === "typescript" ? "typescript" : "javascript";
+      entrypoint = language === "typescript" ? "function.ts" : "function.js";
+
+      let code = source.code;
+      if (detectFunctionFormat(code) === "snippet") {
+        const { before, after } = SNIPPET_WRAPPERS[language];
+        code = [...before, code, ...after].join("\n");
+        const lineCount = source.code.split("\n").length;
+        mapLine = (line) => {
+          const userLine = line - SNIPPET_PREFIX_LINES;
+          return userLine >= 1 && userLine <= lineCount ? userLine : null;
+        };
+      }
+      await writeSources(dir, { [entrypoint]: code });
+    }
+
+    const result = await runDeno(["check", "--quiet", "--config", `${dir}/deno.json`, `${dir}/src/${entrypoint}`], dir);
+    if (result.timedOut) {
+      return [{ file: null, line: null, column: null, code: null, message: "Type check timed out" }];
+    }
+    if (result.success) {
+      return [];
+    }
+
+    const diagnostics = parseDiagnostics(result.stderr);
+    for (const diagnostic of diagnostics) {
+      if (!source.files && diagnostic.file === entrypoint) {
+        diagnostic.file = null;
+        diagnostic.line = mapLine(diagnostic.line);
+        if (diagnostic.line === null) diagnostic.column = null;
+      }
+    }
+    return diagnostics.length > 0
+      ? diagnostics
+      : [{ file: null, line: null, column: null, code: null, message: result.stderr || "Check failed" }];
+  } finally {
+    await Deno.remove(dir, { recursive: true }).catch(() => {});
+  }
+}
+
+// Each problem is a "TS1234 [ERROR]: ..." or "error: ..." line followed, after
+// a code frame, by "    at <file>:<line>:<column>"
+function parseDiagnostics(output) {
+  const diagnostics = [];
+  let current = null;
+
+  for (const line of output.split("\n")) {
+    const tsError = line.match(TS_ERROR);
+    const denoError = !tsError && line.match(DENO_ERROR);
+    if (tsError || denoError) {
+      const message = tsError ? tsError[2] : denoError[1];
+      if (message.startsWith("Type checking failed")) continue;
+      current = { file: null, line: null, column: null, code: tsError ? tsError[1] : null, message };
+      diagnostics.push(current);
+      continue;
+    }
+
+    const location = line.match(LOCATION);
+    if (location && current && current.line === null) {
+      current.file = location[1];
+      current.line = Number(location[2]);
+      current.column = Number(location[3]);
+    }
+  }
+  return diagnostics;
+}
@@ -0,0 +1,79 @@
+// config.js - Platform-wide limits, read once from the environment at startup
+
+function readNumber(name, fallback, { allowZero = false } = {}) {
+  const raw = Deno.env.get(name);
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+    throw new Error(`${name} must be a ${allowZero ? "non-negative" : "positive"} number, got "${raw}"`);
+  }
+  return value;
+}
+
+// Case-insensitive, so LOG_LEVEL=INFO or TRUST_PROXY=True read as expected
+function readChoice(name, choices, fallback) {
+  const raw = Deno.env.get(name);
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  const value = raw.trim().toLowerCase();
+  if (!choices.includes(value)) {
+    throw new Error(`${name} must be one of ${choices.join(", ")}, got "${raw}"`);
+  }
+  return value;
+}
+
+export const config = Object.freeze({
+  // Structured logs: lines below this level are skipped; request and
+  // execution summaries can be turned off on their own
+  logLevel: readChoice("LOG_LEVEL", ["debug", "info", "warn", "error"], "info"),
+  enableRequestLogging: readChoice("ENABLE_REQUEST_LOGGING", ["true", "false"], "true") === "true",
+  enableExecutionLogging: readChoice("ENABLE_EXECUTION_LOGGING", ["true", "false"], "true") === "true",
+  // The next four are machine ceilings over the plans, which set the actual
+  // limits; set below a plan's values, they cut down everyone on that plan
+  // Hard ceiling for a single run; plans and functions can only lower it
+  maxExecutionTimeMs: readNumber("MAX_EXECUTION_TIME", 60000),
+  // Worker heap ceiling; plans and functions can only lower it
+  maxMemoryMb: readNumber("MAX_MEMORY_MB", 512),
+  // Caps applied on top of every plan's monthly CPU time and concurrency
+  maxCpuTimeMs: readNumber("MAX_CPU_TIME_HOURS", 20) * 60 * 60 * 1000,
+  maxConcurrentExecutions: readNumber("MAX_CONCURRENT_EXECUTIONS", 50),
+  // Live workers on this control plane, across all users
+  maxInstancesPerMachine: readNumber("MAX_INSTANCES_PER_MACHINE", 50),
+  // Warm pool per function: idle workers kept pre-warmed, the most kept after
+  // a run, and how long an idle worker may wait before it is evicted
+  poolMinWarm: readNumber("POOL_MIN_WARM", 0, { allowZero: true }),
+  poolMaxWarm: readNumber("POOL_MAX_WARM", 2, { allowZero: true }),
+  poolIdleTimeoutMs: readNumber("POOL_IDLE_TIMEOUT_MS", 60000),
+  // Token bucket shared by every invocation on the platform
+  globalRateLimitPerSecond: readNumber("RATE_LIMIT_GLOBAL_RPS", 200),
+  globalRateLimitBurst: readNumber("RATE_LIMIT_GLOBAL_BURST", 400),
+  // "memory" keeps buckets per replica; "postgres" shares them between replicas
+  rateLimitStore: readChoice("RATE_LIMIT_STORE", ["memory", "postgres"], "memory"),
+  // Take client IPs from X-Forwarded-For; only safe behind a proxy that sets it
+  trustProxy: readChoice("TRUST_PROXY", ["true", "false"], "false") === "true",
+  // Async invocations: tries per job, exponential backoff between them, jobs
+  // each control plane runs at once, and how long finished results are kept
+  asyncMaxAttempts: readNumber("ASYNC_MAX_ATTEMPTS", 3),
+  asyncRetryBaseDelayMs: readNumber("ASYNC_RETRY_BASE_DELAY_MS", 1000),
+  asyncRetryMaxDelayMs: readNumber("ASYNC_RETRY_MAX_DELAY_MS", 5 * 60 * 1000),
+  asyncConcurrency: readNumber("ASYNC_CONCURRENCY", 4),
+  asyncResultTtlHours: readNumber("ASYNC_RESULT_TTL_HOURS", 168),
+  // Webhook deliveries: tries per event and exponential backoff between them
+  webhookMaxAttempts: readNumber("WEBHOOK_MAX_ATTEMPTS", 8),
+  webhookRetryBaseDelayMs: readNumber("WEBHOOK_RETRY_BASE_DELAY_MS", 10000),
+  webhookRetryMaxDelayMs: readNumber("WEBHOOK_RETRY_MAX_DELAY_MS", 60 * 60 * 1000),
+  // Bearer token GET /metrics asks for; unset leaves the endpoint open
+  metricsToken: Deno.env.get("METRICS_TOKEN") || null,
+  // Tracing: where finished spans go ("none", "otlp" or "file") and the share
+  // of new traces recorded; traces started by a caller follow its decision
+  tracesExporter: readChoice("OTEL_TRACES_EXPORTER", ["none", "otlp", "file"], "none"),
+  tracesSampleRatio: readNumber("OTEL_TRACES_SAMPLER_ARG", 1, { allowZero: true }),
+  serviceName: Deno.env.get("OTEL_SERVICE_NAME") || "novirun",
+  otlpTracesEndpoint: Deno.env.get("OTEL_EXPORTER_OTLP_TRACES_ENDPOINT") ||
+    `${(Deno.env.get("OTEL_EXPORTER_OTLP_ENDPOINT") || "http://localhost:4318").replace(/\/$/, "")}/v1/traces`,
+  otlpHeaders: Deno.env.get("OTEL_EXPORTER_OTLP_HEADERS") || "",
+  tracesFile: Deno.env.get("TRACES_FILE") || "/tmp/novirun-traces.jsonl",
+});
@@ -0,0 +1,192 @@
+// cron.js - Cron expressions for scheduled function runs
+// Standard five fields (minute hour day-of-month month day-of-week) with lists,
+// ranges, steps and jan-dec / sun-sat names, plus the @hourly-style macros.
+// Expressions are matched against the wall clock of an IANA timezone.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Long enough to reach the next February 29th from any date
+const MAX_SEARCH_MS = 8 * 366 * DAY_MS;
+
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+  // 7 is Sunday as well as 0
+  { name: "day of week", min: 0, max: 7, names: WEEKDAY_NAMES, firstName: 0 },
+];
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+function parseValue(text, field) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  if (index !== -1) return index + field.firstName;
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+// One field as the set of values it allows, e.g. "1-5,10/15" in minutes
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+    if (!match) return null;
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start = field.min;
+    let end = field.max;
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      // "5/15" means every 15th value from 5 on
+      end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+    }
+    if (!(start >= field.min && end <= field.max && start <= end && step >= 1)) return null;
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression. Returns { valid: true, schedule } or
+ * { valid: false, error }; `schedule` is what nextCronTime() takes.
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    return { valid: false, error: "Cron expression is required" };
+  }
+
+  const text = MACROS[expression.trim().toLowerCase()] ?? expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { valid: false, error: "Cron expression must have 5 fields: minute hour day-of-month month day-of-week" };
+  }
+
+  const sets = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const values = parseField(parts[i], FIELDS[i]);
+    if (!values) {
+      return { valid: false, error: `Invalid ${FIELDS[i].name} field: ${parts[i]}` };
+    }
+    sets.push(values);
+  }
+
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    valid: true,
+    schedule: {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      // As in classic cron, when both day fields are restricted a day matching
+      // either one fires
+      daysRestricted: !parts[2].startsWith("*"),
+      weekdaysRestricted: !parts[4].startsWith("*"),
+    },
+  };
+}
+
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// The wall-clock fields of an instant in a timezone
+function wallClock(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+function matchesDay(schedule, clock) {
+  const day = schedule.days.has(clock.day);
+  const weekday = schedule.weekdays.has(clock.weekday);
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) {
+    return day || weekday;
+  }
+  return day && weekday;
+}
+
+function isLaterClock(a, b) {
+  for (const key of ["year", "month", "day", "hour", "minute"]) {
+    if (a[key] !== b[key]) return a[key] > b[key];
+  }
+  return false;
+}
+
+/**
+ * The first minute after `after` whose wall clock in `timeZone` matches the
+ * schedule, or null if there is none within the next 8 years. Wall-clock
+ * times skipped when clocks go forward don't fire; times repeated when they
+ * go back fire once, the first time round.
+ */
+export function nextCronTime(schedule, timeZone, after = new Date()) {
+  const previous = wallClock(after, timeZone);
+  const limit = after.getTime() + MAX_SEARCH_MS;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (time <= limit) {
+    const clock = wallClock(new Date(time), timeZone);
+    if (!schedule.months.has(clock.month) || !matchesDay(schedule, clock)) {
+      // Skip to the next local midnight
+      time += ((23 - clock.hour) * 60 + 60 - clock.minute) * MINUTE_MS;
+    } else if (!schedule.hours.has(clock.hour)) {
+      time += (60 - clock.minute) * MINUTE_MS;
+    } else if (!schedule.minutes.has(clock.minute) || !isLaterClock(clock, previous)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,71 @@
+// cron_test.js - Tests for cron parsing and next-run times across time zones
+import assert from "node:assert/strict";
+import { parseCron, isValidTimezone, nextCronTime } from "./cron.js";
+
+function next(expression, timeZone, after) {
+  const parsed = parseCron(expression);
+  assert.ok(parsed.valid, parsed.error);
+  return nextCronTime(parsed.schedule, timeZone, new Date(after))?.toISOString() ?? null;
+}
+
+Deno.test("parseCron expands lists, ranges, steps and names", () => {
+  const { valid, schedule } = parseCron("0,30 9-17/4 * jan-mar mon-fri");
+  assert.ok(valid);
+  assert.deepEqual([...schedule.minutes], [0, 30]);
+  assert.deepEqual([...schedule.hours], [9, 13, 17]);
+  assert.deepEqual([...schedule.months], [1, 2, 3]);
+  assert.deepEqual([...schedule.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(schedule.daysRestricted, false);
+  assert.equal(schedule.weekdaysRestricted, true);
+});
+
+Deno.test("parseCron accepts macros and 7 for Sunday", () => {
+  assert.deepEqual(parseCron("@daily").schedule, parseCron("0 0 * * *").schedule);
+  assert.deepEqual([...parseCron("0 0 * * 7").schedule.weekdays], [0]);
+  assert.deepEqual([...parseCron("5/20 * * * *").schedule.minutes], [5, 25, 45]);
+});
+
+Deno.test("parseCron rejects malformed expressions", () => {
+  assert.equal(parseCron("").error, "Cron expression is required");
+  assert.match(parseCron("* * * *").error, /must have 5 fields/);
+  assert.equal(parseCron("60 * * * *").error, "Invalid minute field: 60");
+  assert.equal(parseCron("* * * foo *").error, "Invalid month field: foo");
+  assert.equal(parseCron("* 5-1 * * *").error, "Invalid hour field: 5-1");
+  assert.equal(parseCron("*/0 * * * *").error, "Invalid minute field: */0");
+});
+
+Deno.test("isValidTimezone accepts IANA names only", () => {
+  assert.ok(isValidTimezone("Europe/Berlin"));
+  assert.ok(isValidTimezone("UTC"));
+  assert.ok(!isValidTimezone("Mars/Olympus"));
+  assert.ok(!isValidTimezone(""));
+});
+
+Deno.test("nextCronTime follows the wall clock of the time zone", () => {
+  assert.equal(next("0 9 * * *", "America/New_York", "2026-01-15T12:00:00Z"), "2026-01-15T14:00:00.000Z");
+  assert.equal(next("0 9 * * *", "America/New_York", "2026-01-15T14:00:00Z"), "2026-01-16T14:00:00.000Z");
+  assert.equal(next("0 9 * * *", "Asia/Tokyo", "2026-01-15T12:00:00Z"), "2026-01-16T00:00:00.000Z");
+  assert.equal(next("*/15 * * * *", "UTC", "2026-01-15T12:07:30Z"), "2026-01-15T12:15:00.000Z");
+});
+
+Deno.test("nextCronTime skips times lost when clocks go forward", () => {
+  // 02:30 doesn't exist in New York on 2026-03-08
+  assert.equal(next("30 2 * * *", "America/New_York", "2026-03-08T05:00:00Z"), "2026-03-09T06:30:00.000Z");
+});
+
+Deno.test("nextCronTime fires repeated times once when clocks go back", () => {
+  // 01:30 happens twice in New York on 2026-11-01: 05:30Z (EDT) and 06:30Z (EST)
+  assert.equal(next("30 1 * * *", "America/New_York", "2026-11-01T04:00:00Z"), "2026-11-01T05:30:00.000Z");
+  assert.equal(next("30 1 * * *", "America/New_York", "2026-11-01T05:30:00Z"), "2026-11-02T06:30:00.000Z");
+});
+
+Deno.test("nextCronTime matches either day field when both are restricted", () => {
+  // The 13th, or any Friday: Friday 2026-02-06 comes first
+  assert.equal(next("0 0 13 * 5", "UTC", "2026-02-01T00:00:00Z"), "2026-02-06T00:00:00.000Z");
+  assert.equal(next("0 0 13 * *", "UTC", "2026-02-01T00:00:00Z"), "2026-02-13T00:00:00.000Z");
+});
+
+Deno.test("nextCronTime finds leap days and gives up on impossible dates", () => {
+  assert.equal(next("0 0 29 2 *", "UTC", "2026-03-01T00:00:00Z"), "2028-02-29T00:00:00.000Z");
+  assert.equal(next("0 0 31 2 *", "UTC", "2026-03-01T00:00:00Z"), null);
+});
@@ -1,8 +1,45 @@
 // database.js - PostgreSQL connection and schema management
 import { Pool } from "https://deno.land/x/postgres@v0.17.0/mod.ts";
+import { routePatternsConflict } from "./routes.js";
+import { parseCron, nextCronTime } from "./cron.js";
+import { startSpan } from "./tracing.js";
+import { log } from "./logger.js";
+import { runMigrations } from "./migrations.js";
 
 let pool;
 
+/**
+ * Takes a pooled connection for one database operation. The operation is
+ * traced as a span, named after it, from the wait for a free connection
+ * until the connection is released.
+ */
+async function connect(operation) {
+  const span = startSpan(`db ${operation}`, {
+    kind: "client",
+    attributes: { "db.system": "postgresql", "db.operation.name": operation },
+    newTrace: false,
+  });
+  let connection;
+  try {
+    connection = await pool.connect();
+  } catch (error) {
+    span.fail(error).end();
+    throw error;
+  }
+
+  return {
+    queryObject: (...args) => connection.queryObject(...args).catch((error) => {
+      span.fail(error);
+      throw error;
+    }),
+    createTransaction: (...args) => connection.createTransaction(...args),
+    release() {
+      span.end();
+      connection.release();
+    },
+  };
+}
+
 /**
  * Initializes the database connection pool and sets up the schema.
  */
@@ -19,7 +56,7 @@ export async function initDatabase() {
     pool = new Pool(connectionString, 1, true);
 
     const connection = await pool.connect();
-    console.log("[Novirun] Connected to PostgreSQL database");
+    log.info("Connected to PostgreSQL database");
     connection.release();
 
     // Initialize schema
@@ -28,131 +65,1078 @@ export async function initDatabase() {
     // Create test function
     await createTestFunction();
   } catch (error) {
-    console.error("[Novirun] Database connection failed:", error.message);
+    log.error("Database connection failed", { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Brings the schema up to date by applying pending migrations.
+ * Does NOT drop tables to ensure data persistence.
+ */
+async function createSchema() {
+  const connection = await pool.connect();
+  try {
+    const applied = await runMigrations(connection);
+    log.info("Database schema up to date", { applied });
+  } catch (error) {
+    log.error("Schema migration failed", { error: error.message });
     throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * DATABASE OPERATIONS
+ */
+
+export async function getUser(appwriteUserId) {
+  const connection = await connect("getUser");
+  try {
+    const result = await connection.queryObject`
+      SELECT * FROM users WHERE appwrite_user_id = ${appwriteUserId}
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function createOrUpdateUser(appwriteUserId, email) {
+  const connection = await connect("createOrUpdateUser");
+  try {
+    const userId = crypto.randomUUID();
+    const result = await connection.queryObject`
+      INSERT INTO users (id, appwrite_user_id, email)
+      VALUES (${userId}, ${appwriteUserId}, ${email})
+      ON CONFLICT (appwrite_user_id) DO UPDATE
+      SET email = ${email}, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Claims a username for the user. Returns the updated user, or null when
+ * someone else already has it.
+ */
+export async function setUsername(userId, username) {
+  const connection = await connect("setUsername");
+  try {
+    const result = await connection.queryObject`
+      UPDATE users SET username = ${username}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${userId}
+        AND NOT EXISTS (SELECT 1 FROM users WHERE username = ${username} AND id <> ${userId})
+      RETURNING *
+    `;
+    return result.rows[0] ?? null;
+  } catch (error) {
+    // A concurrent claim of the same name won the unique index
+    if (error.fields?.code === "23505") {
+      return null;
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function createFunction(userId, name, code, language = 'javascript', permissions = {}, bundle = null, authMode = 'public') {
+  const connection = await connect("createFunction");
+  try {
+    const functionId = crypto.randomUUID();
+
+    const transaction = connection.createTransaction(`create_function_${functionId}`);
+    await transaction.begin();
+
+    const result = await transaction.queryObject`
+      INSERT INTO functions (id, user_id, name, code, language, permissions, auth_mode)
+      VALUES (${functionId}, ${userId}, ${name}, ${code}, ${language}, ${JSON.stringify(permissions)}::jsonb, ${authMode})
+      RETURNING *
+    `;
+
+    const version = await insertFunctionVersion(transaction, functionId, userId, code, language, bundle);
+    await transaction.queryObject`
+      UPDATE functions SET active_version = ${version.version} WHERE id = ${functionId}
+    `;
+    await transaction.commit();
+
+    return { ...result.rows[0], active_version: version.version };
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getFunction(functionId, userId) {
+  const connection = await connect("getFunction");
+  try {
+    const result = await connection.queryObject`
+      SELECT * FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    const func = result.rows[0];
+    if (func && !func.language) {
+      func.language = 'javascript';
+    }
+    return func;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getFunctionById(functionId) {
+  const connection = await connect("getFunctionById");
+  try {
+    const result = await connection.queryObject`
+      SELECT * FROM functions WHERE id = ${functionId}
+    `;
+    const func = result.rows[0];
+    if (func && !func.language) {
+      func.language = 'javascript';
+    }
+    return func;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Looks a function up by its owner's username and its name, which together
+ * are unique.
+ */
+export async function getFunctionByName(username, name) {
+  const connection = await connect("getFunctionByName");
+  try {
+    const result = await connection.queryObject`
+      SELECT f.* FROM functions f
+      JOIN users u ON u.id = f.user_id
+      WHERE u.username = ${username} AND f.name = ${name}
+    `;
+    const func = result.rows[0];
+    if (func && !func.language) {
+      func.language = 'javascript';
+    }
+    return func;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function listFunctions(userId) {
+  const connection = await connect("listFunctions");
+  try {
+    const result = await connection.queryObject`
+      SELECT id, name, language, enabled, created_at, updated_at FROM functions WHERE user_id = ${userId}
+      ORDER BY created_at DESC
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Deploys new code as the next immutable version and makes it active.
+ * `bundle` is the source of a multi-file deploy that `code` was built from.
+ * Returns the updated function, or undefined if it does not belong to the user.
+ */
+export async function updateFunctionCode(functionId, userId, code, language = null, bundle = null) {
+  const connection = await connect("updateFunctionCode");
+  try {
+    const transaction = connection.createTransaction(`update_code_${functionId}`);
+    await transaction.begin();
+
+    // Lock the function row so concurrent deploys get distinct version numbers
+    const current = await transaction.queryObject`
+      SELECT * FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+      FOR UPDATE
+    `;
+    if (current.rows.length === 0) {
+      await transaction.rollback();
+      return undefined;
+    }
+
+    const lang = language || current.rows[0].language || 'javascript';
+    const version = await insertFunctionVersion(transaction, functionId, userId, code, lang, bundle);
+    const result = await transaction.queryObject`
+      UPDATE functions
+      SET code = ${code}, language = ${lang}, active_version = ${version.version}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${functionId}
+      RETURNING *
+    `;
+    await transaction.commit();
+
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Appends the next version for a function inside an open transaction.
+ * Callers must hold the function row (or have just created it).
+ */
+async function insertFunctionVersion(transaction, functionId, authorId, code, language, bundle = null) {
+  const versionId = crypto.randomUUID();
+  const bundleJson = bundle ? JSON.stringify(bundle) : null;
+  const result = await transaction.queryObject`
+    INSERT INTO function_versions (id, function_id, version, code, language, author_id, bundle)
+    SELECT ${versionId}, ${functionId}, COALESCE(MAX(version), 0) + 1, ${code}, ${language}, ${authorId}, ${bundleJson}::jsonb
+    FROM function_versions WHERE function_id = ${functionId}
+    RETURNING *
+  `;
+  return result.rows[0];
+}
+
+export async function listFunctionVersions(functionId, userId) {
+  const connection = await connect("listFunctionVersions");
+  try {
+    const result = await connection.queryObject`
+      SELECT v.id, v.version, v.language, v.author_id, v.created_at,
+             v.bundle->>'entrypoint' AS entrypoint,
+             (v.version = f.active_version) AS active
+      FROM function_versions v
+      JOIN functions f ON f.id = v.function_id
+      WHERE v.function_id = ${functionId} AND f.user_id = ${userId}
+      ORDER BY v.version DESC
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getFunctionVersion(functionId, userId, version) {
+  const connection = await connect("getFunctionVersion");
+  try {
+    const result = await connection.queryObject`
+      SELECT v.*, (v.version = f.active_version) AS active
+      FROM function_versions v
+      JOIN functions f ON f.id = v.function_id
+      WHERE v.function_id = ${functionId} AND f.user_id = ${userId} AND v.version = ${version}
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Points the function back at an earlier version. No new version is created;
+ * the active code and language are copied from the target version.
+ * Returns undefined if the function or version does not exist.
+ */
+export async function rollbackFunction(functionId, userId, version) {
+  const connection = await connect("rollbackFunction");
+  try {
+    const result = await connection.queryObject`
+      UPDATE functions f
+      SET code = v.code, language = v.language, active_version = v.version, updated_at = CURRENT_TIMESTAMP
+      FROM function_versions v
+      WHERE f.id = ${functionId} AND f.user_id = ${userId}
+        AND v.function_id = f.id AND v.version = ${version}
+      RETURNING f.*
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lists the custom routes mapped to a function.
+ * Returns null if the function does not belong to the user.
+ */
+export async function listFunctionRoutes(functionId, userId) {
+  const connection = await connect("listFunctionRoutes");
+  try {
+    const owner = await connection.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
+    const result = await connection.queryObject`
+      SELECT id, pattern, created_at FROM function_routes
+      WHERE function_id = ${functionId}
+      ORDER BY pattern
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Maps a canonical route pattern to a function. Saving is serialized so two
+ * overlapping patterns can't slip in side by side. Returns { route } on
+ * success, { conflict } with the existing pattern it overlaps, or undefined
+ * if the function does not belong to the user.
+ */
+export async function addFunctionRoute(functionId, userId, pattern, segmentCount) {
+  const connection = await connect("addFunctionRoute");
+  try {
+    const transaction = connection.createTransaction(`add_route_${functionId}`);
+    await transaction.begin();
+    await transaction.queryObject`SELECT pg_advisory_xact_lock(hashtext('function_routes'))`;
+
+    const owner = await transaction.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      await transaction.rollback();
+      return undefined;
+    }
+
+    const candidates = await transaction.queryObject`
+      SELECT pattern FROM function_routes WHERE segment_count = ${segmentCount}
+    `;
+    const conflict = candidates.rows.find((row) => routePatternsConflict(row.pattern, pattern));
+    if (conflict) {
+      await transaction.rollback();
+      return { conflict: conflict.pattern };
+    }
+
+    const result = await transaction.queryObject`
+      INSERT INTO function_routes (id, function_id, pattern, segment_count)
+      VALUES (${crypto.randomUUID()}, ${functionId}, ${pattern}, ${segmentCount})
+      RETURNING id, pattern, created_at
+    `;
+    await transaction.commit();
+    return { route: result.rows[0] };
+  } finally {
+    connection.release();
+  }
+}
+
+export async function deleteFunctionRoute(functionId, userId, routeId) {
+  const connection = await connect("deleteFunctionRoute");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM function_routes r
+      USING functions f
+      WHERE r.id = ${routeId} AND r.function_id = ${functionId}
+        AND f.id = r.function_id AND f.user_id = ${userId}
+      RETURNING r.id
+    `;
+    return result.rows.length > 0;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Custom routes that could match a path with this many segments, each with
+ * the function it points at.
+ */
+export async function getRouteCandidates(segmentCount) {
+  const connection = await connect("getRouteCandidates");
+  try {
+    const result = await connection.queryObject`
+      SELECT r.pattern, f.* FROM function_routes r
+      JOIN functions f ON f.id = r.function_id
+      WHERE r.segment_count = ${segmentCount}
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lists a function's API keys. Key hashes are never returned.
+ * Returns null if the function does not belong to the user.
+ */
+export async function listApiKeys(functionId, userId) {
+  const connection = await connect("listApiKeys");
+  try {
+    const owner = await connection.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
+    const result = await connection.queryObject`
+      SELECT id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+      FROM function_api_keys
+      WHERE function_id = ${functionId}
+      ORDER BY created_at DESC
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Stores a new API key by its hash. Returns the key record, or undefined if
+ * the function does not belong to the user.
+ */
+export async function createApiKey(functionId, userId, { name, keyPrefix, keyHash, scopes, expiresAt = null }) {
+  const connection = await connect("createApiKey");
+  try {
+    const result = await connection.queryObject`
+      INSERT INTO function_api_keys (id, function_id, name, key_prefix, key_hash, scopes, expires_at)
+      SELECT ${crypto.randomUUID()}, f.id, ${name}, ${keyPrefix}, ${keyHash}, ${JSON.stringify(scopes)}::jsonb, ${expiresAt}
+      FROM functions f
+      WHERE f.id = ${functionId} AND f.user_id = ${userId}
+      RETURNING id, name, key_prefix, scopes, expires_at, created_at
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function revokeApiKey(functionId, userId, keyId) {
+  const connection = await connect("revokeApiKey");
+  try {
+    const result = await connection.queryObject`
+      UPDATE function_api_keys k
+      SET revoked_at = CURRENT_TIMESTAMP
+      FROM functions f
+      WHERE k.id = ${keyId} AND k.function_id = ${functionId} AND k.revoked_at IS NULL
+        AND f.id = k.function_id AND f.user_id = ${userId}
+      RETURNING k.id
+    `;
+    return result.rows.length > 0;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Finds a usable key for a function by its hash: not revoked and not expired.
+ * Records the use.
+ */
+export async function findActiveApiKey(functionId, keyHash) {
+  const connection = await connect("findActiveApiKey");
+  try {
+    const result = await connection.queryObject`
+      UPDATE function_api_keys SET last_used_at = CURRENT_TIMESTAMP
+      WHERE key_hash = ${keyHash} AND function_id = ${functionId} AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      RETURNING id, name, scopes
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lists a function's cron schedules. Returns null if the function does not
+ * belong to the user.
+ */
+export async function listSchedules(functionId, userId) {
+  const connection = await connect("listSchedules");
+  try {
+    const owner = await connection.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
+    const result = await connection.queryObject`
+      SELECT id, cron, timezone, input, enabled, next_run_at, last_run_at, created_at, updated_at
+      FROM function_schedules
+      WHERE function_id = ${functionId}
+      ORDER BY created_at
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Adds a schedule unless the function already has `maxSchedules`. Returns
+ * { schedule }, { limitReached: true }, or undefined if the function does
+ * not belong to the user.
+ */
+export async function createSchedule(functionId, userId, { cron, timezone, input, enabled, nextRunAt }, maxSchedules) {
+  const connection = await connect("createSchedule");
+  try {
+    const transaction = connection.createTransaction(`create_schedule_${functionId}`);
+    await transaction.begin();
+
+    // Lock the function row so concurrent requests can't both slip under the cap
+    const owner = await transaction.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId} FOR UPDATE
+    `;
+    if (owner.rows.length === 0) {
+      await transaction.rollback();
+      return undefined;
+    }
+
+    const count = await transaction.queryObject`
+      SELECT COUNT(*)::int AS count FROM function_schedules WHERE function_id = ${functionId}
+    `;
+    if (count.rows[0].count >= maxSchedules) {
+      await transaction.rollback();
+      return { limitReached: true };
+    }
+
+    const result = await transaction.queryObject`
+      INSERT INTO function_schedules (id, function_id, cron, timezone, input, enabled, next_run_at)
+      VALUES (${crypto.randomUUID()}, ${functionId}, ${cron}, ${timezone}, ${input === null ? null : JSON.stringify(input)}::jsonb, ${enabled}, ${nextRunAt})
+      RETURNING id, cron, timezone, input, enabled, next_run_at, last_run_at, created_at, updated_at
+    `;
+    await transaction.commit();
+    return { schedule: result.rows[0] };
+  } finally {
+    connection.release();
+  }
+}
+
+export async function updateSchedule(functionId, userId, scheduleId, { cron, timezone, input, enabled, nextRunAt }) {
+  const connection = await connect("updateSchedule");
+  try {
+    const result = await connection.queryObject`
+      UPDATE function_schedules s
+      SET cron = ${cron}, timezone = ${timezone}, input = ${input === null ? null : JSON.stringify(input)}::jsonb,
+          enabled = ${enabled}, next_run_at = ${nextRunAt}, updated_at = CURRENT_TIMESTAMP
+      FROM functions f
+      WHERE s.id = ${scheduleId} AND s.function_id = ${functionId}
+        AND f.id = s.function_id AND f.user_id = ${userId}
+      RETURNING s.id, s.cron, s.timezone, s.input, s.enabled, s.next_run_at, s.last_run_at, s.created_at, s.updated_at
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function deleteSchedule(functionId, userId, scheduleId) {
+  const connection = await connect("deleteSchedule");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM function_schedules s
+      USING functions f
+      WHERE s.id = ${scheduleId} AND s.function_id = ${functionId}
+        AND f.id = s.function_id AND f.user_id = ${userId}
+      RETURNING s.id
+    `;
+    return result.rows.length > 0;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Claims up to `limit` due schedules and moves each one to its next run, in
+ * one transaction. Rows another replica is claiming are skipped, so every
+ * run is handed to exactly one control plane. Runs missed while no replica
+ * was up collapse into one.
+ */
+export async function claimDueSchedules(limit = 50) {
+  const connection = await connect("claimDueSchedules");
+  try {
+    const transaction = connection.createTransaction("claim_due_schedules");
+    await transaction.begin();
+
+    const due = await transaction.queryObject`
+      SELECT id, function_id, cron, timezone, input
+      FROM function_schedules
+      WHERE enabled AND next_run_at <= now()
+      ORDER BY next_run_at
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    `;
+
+    const now = new Date();
+    for (const schedule of due.rows) {
+      const nextRunAt = nextCronTime(parseCron(schedule.cron).schedule, schedule.timezone, now);
+      await transaction.queryObject`
+        UPDATE function_schedules SET next_run_at = ${nextRunAt}, last_run_at = now()
+        WHERE id = ${schedule.id}
+      `;
+    }
+
+    await transaction.commit();
+    return due.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Queues an invocation under the given id. `request` is the captured request
+ * without its body ({ method, path, headers, params, caller }); the body is
+ * stored as bytes.
+ */
+export async function createInvocation({ id, functionId, userId, request, requestBody = null, input = null, maxAttempts }) {
+  const connection = await connect("createInvocation");
+  try {
+    const result = await connection.queryObject`
+      INSERT INTO invocations (id, function_id, user_id, request, request_body, input, max_attempts)
+      VALUES (${id}, ${functionId}, ${userId}, ${JSON.stringify(request)}::jsonb, ${requestBody},
+              ${input === null ? null : JSON.stringify(input)}::jsonb, ${maxAttempts})
+      RETURNING id, function_id, status, attempts, max_attempts, run_at, created_at
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getInvocation(invocationId, userId) {
+  const connection = await connect("getInvocation");
+  try {
+    const result = await connection.queryObject`
+      SELECT id, function_id, status, attempts, max_attempts, run_at, last_error, execution_id,
+             response_status, response_headers, response_body, response_truncated,
+             created_at, updated_at, completed_at
+      FROM invocations
+      WHERE id = ${invocationId} AND user_id = ${userId}
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Claims up to `limit` jobs for this control plane: queued jobs that are due,
+ * and running jobs whose lease ran out because their control plane went away.
+ * Each claim counts as an attempt and holds the job for `leaseSeconds`.
+ */
+export async function claimInvocations(limit, leaseSeconds) {
+  const connection = await connect("claimInvocations");
+  try {
+    const result = await connection.queryObject`
+      UPDATE invocations SET
+        status = 'running',
+        attempts = attempts + 1,
+        lease_expires_at = now() + make_interval(secs => ${leaseSeconds}::float8),
+        updated_at = now()
+      WHERE id IN (
+        SELECT id FROM invocations
+        WHERE (status = 'queued' AND run_at <= now())
+           OR (status = 'running' AND lease_expires_at < now())
+        ORDER BY run_at
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, function_id, user_id, request, request_body, input, attempts, max_attempts, last_error
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function completeInvocation(invocationId, { executionId, responseStatus, responseHeaders, responseBody, responseTruncated }) {
+  const connection = await connect("completeInvocation");
+  try {
+    await connection.queryObject`
+      UPDATE invocations SET
+        status = 'succeeded', execution_id = ${executionId}, last_error = NULL,
+        response_status = ${responseStatus}, response_headers = ${JSON.stringify(responseHeaders)}::jsonb,
+        response_body = ${responseBody}, response_truncated = ${responseTruncated},
+        lease_expires_at = NULL, updated_at = now(), completed_at = now()
+      WHERE id = ${invocationId}
+    `;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Puts a job back in the queue to run after `delayMs`. A retry that is not
+ * the job's fault (the machine was busy) hands its attempt back.
+ */
+export async function retryInvocation(invocationId, { error, executionId = null, delayMs, countAttempt = true }) {
+  const connection = await connect("retryInvocation");
+  try {
+    await connection.queryObject`
+      UPDATE invocations SET
+        status = 'queued',
+        attempts = attempts - ${countAttempt ? 0 : 1},
+        run_at = now() + make_interval(secs => ${delayMs / 1000}::float8),
+        last_error = ${error}, execution_id = COALESCE(${executionId}, execution_id),
+        lease_expires_at = NULL, updated_at = now()
+      WHERE id = ${invocationId}
+    `;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Marks a job as failed for good and copies it to the dead-letter table,
+ * where the owner can inspect and replay it.
+ */
+export async function failInvocation(invocationId, { error, executionId = null }) {
+  const connection = await connect("failInvocation");
+  try {
+    const transaction = connection.createTransaction(`fail_invocation_${invocationId}`);
+    await transaction.begin();
+
+    const result = await transaction.queryObject`
+      UPDATE invocations SET
+        status = 'failed', last_error = ${error}, execution_id = COALESCE(${executionId}, execution_id),
+        lease_expires_at = NULL, updated_at = now(), completed_at = now()
+      WHERE id = ${invocationId}
+      RETURNING id, function_id, user_id, request, request_body, input, attempts, last_error, execution_id
+    `;
+    const invocation = result.rows[0];
+    if (invocation) {
+      await transaction.queryObject`
+        INSERT INTO invocation_dead_letters
+          (id, invocation_id, function_id, user_id, request, request_body, input, attempts, last_error, execution_id)
+        VALUES (${crypto.randomUUID()}, ${invocation.id}, ${invocation.function_id}, ${invocation.user_id},
+                ${JSON.stringify(invocation.request)}::jsonb, ${invocation.request_body},
+                ${invocation.input === null ? null : JSON.stringify(invocation.input)}::jsonb,
+                ${invocation.attempts}, ${invocation.last_error}, ${invocation.execution_id})
+      `;
+    }
+
+    await transaction.commit();
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Forgets finished invocations older than `hours`. Dead letters are kept
+ * until their owner deletes them. Returns the number removed.
+ */
+export async function deleteExpiredInvocations(hours) {
+  const connection = await connect("deleteExpiredInvocations");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM invocations
+      WHERE status IN ('succeeded', 'failed')
+        AND completed_at < now() - make_interval(hours => ${hours}::int)
+    `;
+    return result.rowCount;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lists a function's dead letters, newest first. Request bodies are left to
+ * getDeadLetter. Returns null if the function does not belong to the user.
+ */
+export async function listDeadLetters(functionId, userId) {
+  const connection = await connect("listDeadLetters");
+  try {
+    const owner = await connection.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
+    const result = await connection.queryObject`
+      SELECT id, invocation_id, attempts, last_error, execution_id, failed_at, replayed_at, replay_invocation_id
+      FROM invocation_dead_letters
+      WHERE function_id = ${functionId}
+      ORDER BY failed_at DESC
+      LIMIT 100
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getDeadLetter(functionId, userId, letterId) {
+  const connection = await connect("getDeadLetter");
+  try {
+    const result = await connection.queryObject`
+      SELECT id, invocation_id, request, request_body, input, attempts, last_error, execution_id,
+             failed_at, replayed_at, replay_invocation_id
+      FROM invocation_dead_letters
+      WHERE id = ${letterId} AND function_id = ${functionId} AND user_id = ${userId}
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Queues a dead letter's request again as a new invocation with a fresh set
+ * of attempts. Returns the new invocation, or undefined if the dead letter
+ * does not belong to the user.
+ */
+export async function replayDeadLetter(functionId, userId, letterId, maxAttempts) {
+  const connection = await connect("replayDeadLetter");
+  try {
+    const transaction = connection.createTransaction(`replay_dead_letter_${letterId}`);
+    await transaction.begin();
+
+    const letter = await transaction.queryObject`
+      SELECT id, function_id, user_id, request, request_body, input
+      FROM invocation_dead_letters
+      WHERE id = ${letterId} AND function_id = ${functionId} AND user_id = ${userId}
+      FOR UPDATE
+    `;
+    if (letter.rows.length === 0) {
+      await transaction.rollback();
+      return undefined;
+    }
+
+    const { request, request_body: requestBody, input } = letter.rows[0];
+    const invocationId = crypto.randomUUID();
+    // The replay gets its own id in the request the function sees
+    request.headers = request.headers.map(([key, value]) =>
+      key === "x-novirun-invocation-id" ? [key, invocationId] : [key, value]
+    );
+
+    const result = await transaction.queryObject`
+      INSERT INTO invocations (id, function_id, user_id, request, request_body, input, max_attempts)
+      VALUES (${invocationId}, ${functionId}, ${userId}, ${JSON.stringify(request)}::jsonb, ${requestBody},
+              ${input === null ? null : JSON.stringify(input)}::jsonb, ${maxAttempts})
+      RETURNING id, function_id, status, attempts, max_attempts, run_at, created_at
+    `;
+    await transaction.queryObject`
+      UPDATE invocation_dead_letters SET replayed_at = now(), replay_invocation_id = ${invocationId}
+      WHERE id = ${letterId}
+    `;
+
+    await transaction.commit();
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function deleteDeadLetter(functionId, userId, letterId) {
+  const connection = await connect("deleteDeadLetter");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM invocation_dead_letters
+      WHERE id = ${letterId} AND function_id = ${functionId} AND user_id = ${userId}
+      RETURNING id
+    `;
+    return result.rows.length > 0;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function listWebhooks(userId) {
+  const connection = await connect("listWebhooks");
+  try {
+    const result = await connection.queryObject`
+      SELECT id, url, events, enabled, created_at, updated_at
+      FROM webhooks
+      WHERE user_id = ${userId}
+      ORDER BY created_at
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Stores a webhook under the given id; the secret arrives sealed, bound to that id.
+ */
+export async function createWebhook(userId, { id, url, events, secretEncrypted }) {
+  const connection = await connect("createWebhook");
+  try {
+    const result = await connection.queryObject`
+      INSERT INTO webhooks (id, user_id, url, events, secret_encrypted)
+      VALUES (${id}, ${userId}, ${url}, ${JSON.stringify(events)}::jsonb, ${secretEncrypted})
+      RETURNING id, url, events, enabled, created_at, updated_at
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function updateWebhook(userId, webhookId, { url, events, enabled }) {
+  const connection = await connect("updateWebhook");
+  try {
+    const result = await connection.queryObject`
+      UPDATE webhooks
+      SET url = ${url}, events = ${JSON.stringify(events)}::jsonb, enabled = ${enabled}, updated_at = now()
+      WHERE id = ${webhookId} AND user_id = ${userId}
+      RETURNING id, url, events, enabled, created_at, updated_at
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function deleteWebhook(userId, webhookId) {
+  const connection = await connect("deleteWebhook");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM webhooks WHERE id = ${webhookId} AND user_id = ${userId}
+      RETURNING id
+    `;
+    return result.rows.length > 0;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * A webhook's most recent deliveries, newest first. Returns null if the
+ * webhook does not belong to the user.
+ */
+export async function listWebhookDeliveries(userId, webhookId, limit = 50) {
+  const connection = await connect("listWebhookDeliveries");
+  try {
+    const owner = await connection.queryObject`
+      SELECT id FROM webhooks WHERE id = ${webhookId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
+    const result = await connection.queryObject`
+      SELECT id, event, payload, status, attempts, next_attempt_at, response_status, last_error, created_at, delivered_at
+      FROM webhook_deliveries
+      WHERE webhook_id = ${webhookId}
+      ORDER BY created_at DESC
+      LIMIT ${limit}
+    `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Queues one delivery of an event to each of the user's enabled webhooks that
+ * subscribe to it. Returns the number of deliveries queued.
+ */
+export async function enqueueWebhookDeliveries(userId, event, payload) {
+  const connection = await connect("enqueueWebhookDeliveries");
+  try {
+    const result = await connection.queryObject`
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload)
+      SELECT gen_random_uuid()::text, w.id, ${event}, ${JSON.stringify(payload)}::jsonb
+      FROM webhooks w
+      WHERE w.user_id = ${userId} AND w.enabled AND w.events ? ${event}
+    `;
+    return result.rowCount;
+  } finally {
+    connection.release();
   }
 }
 
 /**
- * Creates tables and indexes if they do not exist.
- * Does NOT drop tables to ensure data persistence.
+ * Claims up to `limit` due deliveries, with the URL and sealed secret of
+ * their webhook, and holds them for `leaseSeconds`. Each claim is an attempt.
  */
-async function createSchema() {
-  const connection = await pool.connect();
+export async function claimWebhookDeliveries(limit, leaseSeconds) {
+  const connection = await connect("claimWebhookDeliveries");
   try {
-    // 1. Users table
-    await connection.queryObject`
-      CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        appwrite_user_id TEXT UNIQUE NOT NULL,
-        email TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // 2. Functions table
-    await connection.queryObject`
-      CREATE TABLE IF NOT EXISTS functions (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        name TEXT NOT NULL,
-        code TEXT NOT NULL,
-        language TEXT DEFAULT 'javascript',
-        enabled BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, name)
+    const result = await connection.queryObject`
+      UPDATE webhook_deliveries d SET
+        attempts = d.attempts + 1,
+        lease_expires_at = now() + make_interval(secs => ${leaseSeconds}::float8)
+      FROM webhooks w
+      WHERE w.id = d.webhook_id AND d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= now()
+          AND (lease_expires_at IS NULL OR lease_expires_at < now())
+        ORDER BY next_attempt_at
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
       )
+      RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, d.created_at, w.url, w.secret_encrypted
     `;
+    return result.rows;
+  } finally {
+    connection.release();
+  }
+}
 
-    // 2.1. Add language column if it doesn't exist (migration for existing databases)
-    try {
-      const checkColumn = await connection.queryObject`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = 'functions' 
-        AND column_name = 'language'
-      `;
-      
-      if (checkColumn.rows.length === 0) {
-        console.log("[Novirun] Migrating: Adding language column to functions table...");
-        await connection.queryObject`
-          ALTER TABLE functions 
-          ADD COLUMN language TEXT DEFAULT 'javascript'
-        `;
-        console.log("[Novirun] Migration complete: language column added");
-      }
-    } catch (migrationError) {
-      console.warn("[Novirun] Migration warning:", migrationError.message);
-    }
-
-    // 3. Executions table
+/**
+ * Records the outcome of one delivery attempt. `status` is "delivered",
+ * "failed" (no attempts left) or "pending" with the next try `delayMs` away.
+ */
+export async function recordWebhookAttempt(deliveryId, { status, responseStatus = null, error = null, delayMs = 0 }) {
+  const connection = await connect("recordWebhookAttempt");
+  try {
     await connection.queryObject`
-      CREATE TABLE IF NOT EXISTS executions (
-        id TEXT PRIMARY KEY,
-        function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
-        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        status TEXT NOT NULL,
-        output TEXT,
-        error TEXT,
-        execution_time_ms INTEGER,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
+      UPDATE webhook_deliveries SET
+        status = ${status},
+        response_status = ${responseStatus},
+        last_error = ${error},
+        next_attempt_at = now() + make_interval(secs => ${delayMs / 1000}::float8),
+        lease_expires_at = NULL,
+        delivered_at = CASE WHEN ${status} = 'delivered' THEN now() END
+      WHERE id = ${deliveryId}
     `;
+  } finally {
+    connection.release();
+  }
+}
 
-    // 4. Quotas table
-    await connection.queryObject`
-      CREATE TABLE IF NOT EXISTS quotas (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        cpu_time_used_ms INTEGER DEFAULT 0,
-        concurrent_count INTEGER DEFAULT 0,
-        last_reset_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id)
-      )
+/**
+ * Trims the delivery log to the last `days`. Returns the number removed.
+ */
+export async function deleteOldWebhookDeliveries(days) {
+  const connection = await connect("deleteOldWebhookDeliveries");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM webhook_deliveries
+      WHERE status <> 'pending' AND created_at < now() - make_interval(days => ${days}::int)
     `;
-
-    // 5. Indexes for performance
-    await connection.queryObject`CREATE INDEX IF NOT EXISTS idx_functions_user_id ON functions(user_id)`;
-    await connection.queryObject`CREATE INDEX IF NOT EXISTS idx_executions_function_id ON executions(function_id)`;
-    await connection.queryObject`CREATE INDEX IF NOT EXISTS idx_executions_user_id ON executions(user_id)`;
-
-    console.log("[Novirun] Database schema initialized successfully");
-  } catch (error) {
-    console.error("[Novirun] Schema creation error:", error.message);
-    throw error;
+    return result.rowCount;
   } finally {
     connection.release();
   }
 }
 
 /**
- * DATABASE OPERATIONS
+ * Lists a function's environment variable names. Values are never returned.
+ * Returns null if the function does not belong to the user.
  */
-
-export async function getUser(appwriteUserId) {
-  const connection = await pool.connect();
+export async function listFunctionEnv(functionId, userId) {
+  const connection = await connect("listFunctionEnv");
   try {
+    const owner = await connection.queryObject`
+      SELECT id FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+    `;
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
     const result = await connection.queryObject`
-      SELECT * FROM users WHERE appwrite_user_id = ${appwriteUserId}
+      SELECT name, created_at, updated_at FROM function_env
+      WHERE function_id = ${functionId}
+      ORDER BY name
     `;
-    return result.rows[0];
+    return result.rows;
   } finally {
     connection.release();
   }
 }
 
-export async function createOrUpdateUser(appwriteUserId, email) {
-  const connection = await pool.connect();
+/**
+ * Creates or replaces one variable. Returns undefined if the function does
+ * not belong to the user.
+ */
+export async function setFunctionEnv(functionId, userId, name, valueEncrypted) {
+  const connection = await connect("setFunctionEnv");
   try {
-    const userId = crypto.randomUUID();
+    const envId = crypto.randomUUID();
     const result = await connection.queryObject`
-      INSERT INTO users (id, appwrite_user_id, email)
-      VALUES (${userId}, ${appwriteUserId}, ${email})
-      ON CONFLICT (appwrite_user_id) DO UPDATE
-      SET email = ${email}, updated_at = CURRENT_TIMESTAMP
-      RETURNING *
+      INSERT INTO function_env (id, function_id, name, value_encrypted)
+      SELECT ${envId}, id, ${name}, ${valueEncrypted}
+      FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+      ON CONFLICT (function_id, name) DO UPDATE
+      SET value_encrypted = ${valueEncrypted}, updated_at = CURRENT_TIMESTAMP
+      RETURNING name, created_at, updated_at
     `;
     return result.rows[0];
   } finally {
@@ -160,166 +1144,99 @@ export async function createOrUpdateUser(appwriteUserId, email) {
   }
 }
 
-export async function createFunction(userId, name, code, language = 'javascript') {
-  const connection = await pool.connect();
+export async function deleteFunctionEnv(functionId, userId, name) {
+  const connection = await connect("deleteFunctionEnv");
   try {
-    const functionId = crypto.randomUUID();
-    
-    // Check if language column exists
-    const checkColumn = await connection.queryObject`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'functions' 
-      AND column_name = 'language'
+    const result = await connection.queryObject`
+      DELETE FROM function_env e
+      USING functions f
+      WHERE e.function_id = f.id AND f.id = ${functionId} AND f.user_id = ${userId}
+        AND e.name = ${name}
+      RETURNING e.name
     `;
-    
-    let result;
-    if (checkColumn.rows.length > 0) {
-      // Language column exists
-      result = await connection.queryObject`
-        INSERT INTO functions (id, user_id, name, code, language)
-        VALUES (${functionId}, ${userId}, ${name}, ${code}, ${language})
-        RETURNING *
-      `;
-    } else {
-      // Language column doesn't exist yet (fallback)
-      result = await connection.queryObject`
-        INSERT INTO functions (id, user_id, name, code)
-        VALUES (${functionId}, ${userId}, ${name}, ${code})
-        RETURNING *
-      `;
-      // Add language to result
-      if (result.rows[0]) {
-        result.rows[0].language = language;
-      }
-    }
-    
-    return result.rows[0];
+    return result.rows.length > 0;
   } finally {
     connection.release();
   }
 }
 
-export async function getFunction(functionId, userId) {
-  const connection = await pool.connect();
+/**
+ * Encrypted values for the executor. Never expose the result through a route.
+ */
+export async function getFunctionEnvValues(functionId) {
+  const connection = await connect("getFunctionEnvValues");
   try {
     const result = await connection.queryObject`
-      SELECT * FROM functions WHERE id = ${functionId} AND user_id = ${userId}
+      SELECT name, value_encrypted FROM function_env WHERE function_id = ${functionId}
     `;
-    const func = result.rows[0];
-    if (func && !func.language) {
-      func.language = 'javascript';
-    }
-    return func;
+    return result.rows;
   } finally {
     connection.release();
   }
 }
 
-export async function getFunctionById(functionId) {
-  const connection = await pool.connect();
+/**
+ * Sets the function's own timeout and memory ceiling; null restores the default.
+ * Callers validate the values against the owner's plan.
+ */
+export async function updateFunctionLimits(functionId, userId, timeoutMs, memoryMb) {
+  const connection = await connect("updateFunctionLimits");
   try {
     const result = await connection.queryObject`
-      SELECT * FROM functions WHERE id = ${functionId}
+      UPDATE functions SET timeout_ms = ${timeoutMs}, memory_mb = ${memoryMb}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${functionId} AND user_id = ${userId}
+      RETURNING id, timeout_ms, memory_mb, updated_at
     `;
-    const func = result.rows[0];
-    if (func && !func.language) {
-      func.language = 'javascript';
-    }
-    return func;
+    return result.rows[0];
   } finally {
     connection.release();
   }
 }
 
-export async function getFunctionByName(name) {
-  const connection = await pool.connect();
+export async function updateFunctionPermissions(functionId, userId, permissions) {
+  const connection = await connect("updateFunctionPermissions");
   try {
     const result = await connection.queryObject`
-      SELECT * FROM functions WHERE name = ${name} LIMIT 1
+      UPDATE functions SET permissions = ${JSON.stringify(permissions)}::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${functionId} AND user_id = ${userId}
+      RETURNING id, permissions, updated_at
     `;
-    const func = result.rows[0];
-    if (func && !func.language) {
-      func.language = 'javascript';
-    }
-    return func;
+    return result.rows[0];
   } finally {
     connection.release();
   }
 }
 
-export async function listFunctions(userId) {
-  const connection = await pool.connect();
+export async function updateFunctionAuthMode(functionId, userId, authMode) {
+  const connection = await connect("updateFunctionAuthMode");
   try {
-    // Check if language column exists
-    const checkColumn = await connection.queryObject`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'functions' 
-      AND column_name = 'language'
+    const result = await connection.queryObject`
+      UPDATE functions SET auth_mode = ${authMode}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${functionId} AND user_id = ${userId}
+      RETURNING id, auth_mode, updated_at
     `;
-    
-    if (checkColumn.rows.length > 0) {
-      // Language column exists
-      const result = await connection.queryObject`
-        SELECT id, name, language, enabled, created_at, updated_at FROM functions WHERE user_id = ${userId}
-        ORDER BY created_at DESC
-      `;
-      return result.rows;
-    } else {
-      // Language column doesn't exist yet (fallback for migration)
-      const result = await connection.queryObject`
-        SELECT id, name, enabled, created_at, updated_at FROM functions WHERE user_id = ${userId}
-        ORDER BY created_at DESC
-      `;
-      // Add default language to results
-      return result.rows.map(row => ({ ...row, language: 'javascript' }));
-    }
+    return result.rows[0];
   } finally {
     connection.release();
   }
 }
 
-export async function updateFunctionCode(functionId, userId, code, language = null) {
-  const connection = await pool.connect();
+export async function updateFunctionRateLimit(functionId, userId, rateLimit) {
+  const connection = await connect("updateFunctionRateLimit");
   try {
-    // Check if language column exists
-    const checkColumn = await connection.queryObject`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'functions' 
-      AND column_name = 'language'
+    const result = await connection.queryObject`
+      UPDATE functions SET rate_limit = ${JSON.stringify(rateLimit)}::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${functionId} AND user_id = ${userId}
+      RETURNING id, rate_limit, updated_at
     `;
-    
-    let result;
-    if (checkColumn.rows.length > 0 && language) {
-      // Language column exists and language is provided
-      result = await connection.queryObject`
-        UPDATE functions SET code = ${code}, language = ${language}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${functionId} AND user_id = ${userId}
-        RETURNING *
-      `;
-    } else {
-      // Either no language column or no language provided
-      result = await connection.queryObject`
-        UPDATE functions SET code = ${code}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${functionId} AND user_id = ${userId}
-        RETURNING *
-      `;
-    }
-    
-    const func = result.rows[0];
-    if (func && !func.language) {
-      func.language = 'javascript';
-    }
-    return func;
+    return result.rows[0];
   } finally {
     connection.release();
   }
 }
 
 export async function updateFunctionStatus(functionId, userId, enabled) {
-  const connection = await pool.connect();
+  const connection = await connect("updateFunctionStatus");
   try {
     const result = await connection.queryObject`
       UPDATE functions SET enabled = ${enabled}, updated_at = CURRENT_TIMESTAMP
@@ -333,7 +1250,7 @@ export async function updateFunctionStatus(functionId, userId, enabled) {
 }
 
 export async function deleteFunction(functionId, userId) {
-  const connection = await pool.connect();
+  const connection = await connect("deleteFunction");
   try {
     await connection.queryObject`
       DELETE FROM functions WHERE id = ${functionId} AND user_id = ${userId}
@@ -344,24 +1261,97 @@ export async function deleteFunction(functionId, userId) {
   }
 }
 
-export async function logExecution(functionId, userId, status, output, error, executionTimeMs) {
-  const connection = await pool.connect();
+/**
+ * Records one run. Takes a record so optional fields can grow without
+ * positional churn; returns the new execution id.
+ */
+export async function logExecution({
+  functionId,
+  userId,
+  status,
+  output = null,
+  error = null,
+  stack = null,
+  executionTimeMs,
+  logs = [],
+  version = null,
+  trigger = "http",
+  requestId = null,
+}) {
+  const connection = await connect("logExecution");
   try {
     const executionId = crypto.randomUUID();
     await connection.queryObject`
-      INSERT INTO executions (id, function_id, user_id, status, output, error, execution_time_ms)
-      VALUES (${executionId}, ${functionId}, ${userId}, ${status}, ${output}, ${error}, ${executionTimeMs})
+      INSERT INTO executions (id, function_id, user_id, status, output, error, stack, execution_time_ms, logs, version, trigger_type, request_id)
+      VALUES (${executionId}, ${functionId}, ${userId}, ${status}, ${output}, ${error}, ${stack}, ${executionTimeMs}, ${JSON.stringify(logs)}::jsonb, ${version}, ${trigger}, ${requestId})
+    `;
+    return executionId;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * One page of a function's executions, newest first. `cursor` is the id of the
+ * last execution from the previous page. Filters are optional (null = any).
+ * Large columns (output, logs, stack) are left to getExecution.
+ */
+export async function listExecutions(functionId, userId, { status = null, trigger = null, requestId = null, from = null, to = null, cursor = null, limit = 20 } = {}) {
+  const connection = await connect("listExecutions");
+  try {
+    const result = await connection.queryObject`
+      SELECT id, function_id, version, status, trigger_type, request_id, error, execution_time_ms, created_at
+      FROM executions
+      WHERE function_id = ${functionId} AND user_id = ${userId}
+        AND (${status}::text IS NULL OR status = ${status})
+        AND (${trigger}::text IS NULL OR trigger_type = ${trigger})
+        AND (${requestId}::text IS NULL OR request_id = ${requestId})
+        AND (${from}::timestamptz IS NULL OR created_at >= ${from}::timestamptz)
+        AND (${to}::timestamptz IS NULL OR created_at < ${to}::timestamptz)
+        AND (${cursor}::text IS NULL OR (created_at, id) < (
+          SELECT created_at, id FROM executions WHERE id = ${cursor} AND function_id = ${functionId}
+        ))
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit + 1}
+    `;
+
+    const hasMore = result.rows.length > limit;
+    const executions = hasMore ? result.rows.slice(0, limit) : result.rows;
+    return {
+      executions,
+      nextCursor: hasMore ? executions[executions.length - 1].id : null,
+    };
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getExecution(executionId, userId) {
+  const connection = await connect("getExecution");
+  try {
+    const result = await connection.queryObject`
+      SELECT * FROM executions WHERE id = ${executionId} AND user_id = ${userId}
     `;
+    return result.rows[0];
   } finally {
     connection.release();
   }
 }
 
+/**
+ * Current usage together with the limits of the user's plan.
+ */
 export async function getQuota(userId) {
-  const connection = await pool.connect();
+  const connection = await connect("getQuota");
   try {
     const result = await connection.queryObject`
-      SELECT * FROM quotas WHERE user_id = ${userId}
+      SELECT q.*, p.id AS plan_id, p.name AS plan_name,
+             p.cpu_time_limit_ms, p.max_concurrent, p.max_executions,
+             p.max_timeout_ms, p.max_memory_mb
+      FROM quotas q
+      JOIN users u ON u.id = q.user_id
+      JOIN plans p ON p.id = u.plan_id
+      WHERE q.user_id = ${userId}
     `;
     return result.rows[0];
   } finally {
@@ -370,7 +1360,7 @@ export async function getQuota(userId) {
 }
 
 export async function initializeQuota(userId) {
-  const connection = await pool.connect();
+  const connection = await connect("initializeQuota");
   try {
     const quotaId = crypto.randomUUID();
     await connection.queryObject`
@@ -382,24 +1372,223 @@ export async function initializeQuota(userId) {
   }
 }
 
-export async function updateQuota(userId, cpuTimeUsedMs, concurrentCount) {
-  const connection = await pool.connect();
+/**
+ * Atomically takes one concurrency slot if every plan limit still has room.
+ * Returns { acquired: true, quota } or { acquired: false, reason, quota }
+ * where reason is "uninitialized", "concurrency", "cpu_time" or "executions".
+ * `caps` ({ maxConcurrent, cpuTimeLimitMs }) are platform-wide ceilings that
+ * apply on top of the plan. Every acquired slot must be given back with
+ * releaseQuotaSlot.
+ */
+export async function acquireQuotaSlot(userId, caps = {}) {
+  const maxConcurrent = caps.maxConcurrent ?? null;
+  const cpuTimeLimitMs = caps.cpuTimeLimitMs ?? null;
+
+  const connection = await connect("acquireQuotaSlot");
   try {
-    await connection.queryObject`
-      UPDATE quotas 
-      SET cpu_time_used_ms = cpu_time_used_ms + ${cpuTimeUsedMs},
-          concurrent_count = ${concurrentCount}
+    const result = await connection.queryObject`
+      UPDATE quotas q
+      SET concurrent_count = q.concurrent_count + 1,
+          executions_count = q.executions_count + 1
+      FROM users u
+      JOIN plans p ON p.id = u.plan_id
+      WHERE q.user_id = ${userId} AND u.id = q.user_id
+        AND q.concurrent_count < LEAST(p.max_concurrent, ${maxConcurrent}::integer)
+        AND q.cpu_time_used_ms < LEAST(p.cpu_time_limit_ms, ${cpuTimeLimitMs}::integer)
+        AND (p.max_executions IS NULL OR q.executions_count < p.max_executions)
+      RETURNING q.*, p.id AS plan_id, p.cpu_time_limit_ms, p.max_concurrent, p.max_executions,
+                p.max_timeout_ms, p.max_memory_mb
+    `;
+    if (result.rows.length > 0) {
+      return { acquired: true, quota: result.rows[0] };
+    }
+  } finally {
+    connection.release();
+  }
+
+  // Work out which limit rejected the call, reporting the effective values
+  const quota = await getQuota(userId);
+  let reason = "uninitialized";
+  if (quota) {
+    quota.max_concurrent = Math.min(quota.max_concurrent, maxConcurrent ?? Infinity);
+    quota.cpu_time_limit_ms = Math.min(quota.cpu_time_limit_ms, cpuTimeLimitMs ?? Infinity);
+    if (quota.cpu_time_used_ms >= quota.cpu_time_limit_ms) {
+      reason = "cpu_time";
+    } else if (quota.max_executions !== null && quota.executions_count >= quota.max_executions) {
+      reason = "executions";
+    } else {
+      reason = "concurrency";
+    }
+  }
+  return { acquired: false, reason, quota };
+}
+
+/**
+ * Gives back a slot taken by acquireQuotaSlot and charges the CPU time used.
+ * With `refundExecution` the run never started, so it doesn't count toward
+ * the plan's executions either. Returns the CPU time used so far this period.
+ */
+export async function releaseQuotaSlot(userId, cpuTimeUsedMs, { refundExecution = false } = {}) {
+  const connection = await connect("releaseQuotaSlot");
+  try {
+    const result = await connection.queryObject`
+      UPDATE quotas
+      SET cpu_time_used_ms = cpu_time_used_ms + ${Math.round(cpuTimeUsedMs)},
+          concurrent_count = GREATEST(concurrent_count - 1, 0),
+          executions_count = GREATEST(executions_count - ${refundExecution ? 1 : 0}::integer, 0)
       WHERE user_id = ${userId}
+      RETURNING cpu_time_used_ms
+    `;
+    return result.rows[0]?.cpu_time_used_ms ?? null;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Records that a quota event ("warning" or "exceeded") is being sent for the
+ * current period. Returns true only for the first caller, so each event goes
+ * out once per period however many control planes notice it.
+ */
+export async function claimQuotaNotification(userId, kind) {
+  const connection = await connect("claimQuotaNotification");
+  try {
+    const result = kind === "warning"
+      ? await connection.queryObject`
+          UPDATE quotas SET cpu_warning_notified_at = now()
+          WHERE user_id = ${userId} AND cpu_warning_notified_at IS NULL
+          RETURNING id
+        `
+      : await connection.queryObject`
+          UPDATE quotas SET exceeded_notified_at = now()
+          WHERE user_id = ${userId} AND exceeded_notified_at IS NULL
+          RETURNING id
+        `;
+    return result.rows.length > 0;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Refills a shared token bucket for the time since its last use and takes
+ * one token if there is one, in a single atomic statement. Returns
+ * { allowed, tokens } with the tokens left afterwards.
+ */
+export async function takeRateLimitToken(key, capacity, refillPerSecond) {
+  const connection = await connect("takeRateLimitToken");
+  try {
+    const result = await connection.queryObject`
+      INSERT INTO rate_limit_buckets AS b (key, tokens, capacity, refill_per_second, allowed, updated_at)
+      VALUES (${key}, ${capacity - 1}::float8, ${capacity}::float8, ${refillPerSecond}::float8, true, now())
+      ON CONFLICT (key) DO UPDATE SET
+        allowed = LEAST(EXCLUDED.capacity, b.tokens + GREATEST(0, EXTRACT(EPOCH FROM now() - b.updated_at))::float8 * EXCLUDED.refill_per_second) >= 1,
+        tokens = LEAST(EXCLUDED.capacity, b.tokens + GREATEST(0, EXTRACT(EPOCH FROM now() - b.updated_at))::float8 * EXCLUDED.refill_per_second)
+          - CASE WHEN LEAST(EXCLUDED.capacity, b.tokens + GREATEST(0, EXTRACT(EPOCH FROM now() - b.updated_at))::float8 * EXCLUDED.refill_per_second) >= 1 THEN 1 ELSE 0 END,
+        capacity = EXCLUDED.capacity,
+        refill_per_second = EXCLUDED.refill_per_second,
+        updated_at = GREATEST(now(), b.updated_at)
+      RETURNING allowed, tokens
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Drops shared buckets that have refilled completely; a missing bucket
+ * starts full, so this changes nothing but the table size.
+ */
+export async function deleteFullRateLimitBuckets() {
+  const connection = await connect("deleteFullRateLimitBuckets");
+  try {
+    const result = await connection.queryObject`
+      DELETE FROM rate_limit_buckets
+      WHERE tokens + EXTRACT(EPOCH FROM now() - updated_at)::float8 * refill_per_second >= capacity
+    `;
+    return result.rowCount;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Starts a new monthly period for every quota whose last reset is at least a
+ * month old. Concurrency counts are live state and are not touched.
+ * Returns the number of quotas reset.
+ */
+export async function resetExpiredQuotas() {
+  const connection = await connect("resetExpiredQuotas");
+  try {
+    const result = await connection.queryObject`
+      UPDATE quotas
+      SET cpu_time_used_ms = 0, executions_count = 0, last_reset_at = CURRENT_TIMESTAMP,
+          cpu_warning_notified_at = NULL, exceeded_notified_at = NULL
+      WHERE last_reset_at <= CURRENT_TIMESTAMP - INTERVAL '1 month'
+      RETURNING user_id
+    `;
+    return result.rows.length;
+  } finally {
+    connection.release();
+  }
+}
+
+export async function getPlan(planId) {
+  const connection = await connect("getPlan");
+  try {
+    const result = await connection.queryObject`
+      SELECT * FROM plans WHERE id = ${planId}
     `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+export async function setUserPlan(userId, planId) {
+  const connection = await connect("setUserPlan");
+  try {
+    const result = await connection.queryObject`
+      UPDATE users SET plan_id = ${planId}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${userId}
+      RETURNING *
+    `;
+    return result.rows[0];
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Admin override: lets the function connect to private, loopback and
+ * link-local addresses. Returns the function's id and setting, or undefined.
+ */
+export async function setFunctionPrivateNetwork(functionId, allowed) {
+  const connection = await connect("setFunctionPrivateNetwork");
+  try {
+    const result = await connection.queryObject`
+      UPDATE functions SET allow_private_network = ${allowed}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${functionId}
+      RETURNING id, allow_private_network, updated_at
+    `;
+    return result.rows[0];
   } finally {
     connection.release();
   }
 }
 
+/**
+ * Connections in the pool and how many of them are free right now.
+ */
+export function getDatabasePoolStats() {
+  return { size: pool?.size ?? 0, available: pool?.available ?? 0 };
+}
+
 export async function closeDatabase() {
   if (pool) {
     await pool.end();
-    console.log("[Novirun] Database connection closed");
+    log.info("Database connection closed");
   }
 }
 
@@ -407,7 +1596,7 @@ export async function closeDatabase() {
  * Creates a test function for demo/testing purposes
  */
 async function createTestFunction() {
-  const connection = await pool.connect();
+  const connection = await connect("createTestFunction");
   try {
     // Check if test user exists
     let testUser = await connection.queryObject`
@@ -426,6 +1615,11 @@ async function createTestFunction() {
       `;
     }
     
+    // The system user owns /u/system/hello-world
+    await connection.queryObject`
+      UPDATE users SET username = 'system' WHERE appwrite_user_id = 'system' AND username IS NULL
+    `;
+
     const systemUser = testUser.rows[0];
     
     // Check if test function exists
@@ -451,8 +1645,12 @@ return new Response(JSON.stringify({
 });`;
       
       await connection.queryObject`
-        INSERT INTO functions (id, user_id, name, code, language, enabled)
-        VALUES (${functionId}, ${systemUser.id}, 'hello-world', ${testCode}, 'javascript', true)
+        INSERT INTO functions (id, user_id, name, code, language, enabled, active_version)
+        VALUES (${functionId}, ${systemUser.id}, 'hello-world', ${testCode}, 'javascript', true, 1)
+      `;
+      await connection.queryObject`
+        INSERT INTO function_versions (id, function_id, version, code, language, author_id)
+        VALUES (${crypto.randomUUID()}, ${functionId}, 1, ${testCode}, 'javascript', ${systemUser.id})
       `;
       
       // Initialize quota for system user
@@ -463,13 +1661,12 @@ return new Response(JSON.stringify({
         ON CONFLICT (user_id) DO NOTHING
       `;
       
-      console.log("[Novirun] Test function 'hello-world' created successfully");
-      console.log(`[Novirun] Test it at: /run/${functionId}`);
+      log.info("Test function 'hello-world' created", { functionId, url: `/run/${functionId}` });
     } else {
-      console.log("[Novirun] Test function 'hello-world' already exists");
+      log.debug("Test function 'hello-world' already exists");
     }
   } catch (error) {
-    console.error("[Novirun] Failed to create test function:", error.message);
+    log.error("Failed to create test function", { error: error.message });
   } finally {
     connection.release();
   }
@@ -0,0 +1,280 @@
+// egress.js - Outbound network rules for functions
+// A function lists the hosts it may reach as "host" or "host:port" entries in
+// permissions.net (or sets it to true for any public host). Connections into
+// private, loopback and link-local networks are refused unless an admin has
+// allowed them for the function. The rules are enforced outside the
+// function's isolate, where its own code can't undo them:
+//   - a listed host becomes part of the worker's Deno permissions only while
+//     its name resolves to public addresses (checked as each worker starts);
+//   - with net: true the worker may only reach the egress proxy
+//     (egressproxy.js), which checks every connection and then connects to
+//     the address it checked.
+// The worker also asks the executor before each connection, so a blocked
+// attempt fails early with a clear message in the function's logs.
+//
+// For listed names, an answer that changes between the check and the
+// connection (DNS rebinding) can still get through; addresses in the
+// allow-list itself are checked when it is saved.
+
+const MAX_ALLOW_LIST_ENTRIES = 50;
+const DNS_CACHE_TTL_MS = 30000;
+const DNS_CACHE_MAX_ENTRIES = 1000;
+
+// Names that only mean something inside a private network
+const INTERNAL_SUFFIXES = [".localhost", ".local", ".internal", ".localdomain", ".home.arpa"];
+
+// [first address, prefix length, reason]
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8, "reserved"],
+  ["10.0.0.0", 8, "private"],
+  ["100.64.0.0", 10, "private"],
+  ["127.0.0.0", 8, "loopback"],
+  ["169.254.0.0", 16, "link-local"],
+  ["172.16.0.0", 12, "private"],
+  ["192.0.0.0", 24, "reserved"],
+  ["192.168.0.0", 16, "private"],
+  ["198.18.0.0", 15, "reserved"],
+  ["224.0.0.0", 4, "multicast"],
+  ["240.0.0.0", 4, "reserved"],
+].map(([address, bits, reason]) => ({ start: parseIPv4(address), bits, reason }));
+
+// hostname -> { addresses, expiresAt }
+const dnsCache = new Map();
+
+function parseIPv4(text) {
+  const parts = text.split(".");
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+// Eight 16-bit groups, or null. Takes the bracketless form; a trailing IPv4
+// address (as DNS answers may write it) is read as the last two groups.
+function parseIPv6(text) {
+  const dotted = text.match(/^(.*:)(\d+(?:\.\d+){3})$/);
+  if (dotted) {
+    const ipv4 = parseIPv4(dotted[2]);
+    if (ipv4 === null) return null;
+    text = `${dotted[1]}${Math.floor(ipv4 / 65536).toString(16)}:${(ipv4 % 65536).toString(16)}`;
+  }
+  if (!/^[0-9a-f:]+$/i.test(text)) return null;
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups.map((group) => parseInt(group, 16));
+}
+
+function ipv4Reason(value) {
+  for (const { start, bits, reason } of BLOCKED_IPV4) {
+    const size = 2 ** (32 - bits);
+    if (value >= start && value < start + size) return reason;
+  }
+  return null;
+}
+
+function ipv6Reason(groups) {
+  const isZero = (from, to) => groups.slice(from, to).every((group) => group === 0);
+  const embeddedIPv4 = groups[6] * 65536 + groups[7];
+
+  if (isZero(0, 8)) return "reserved";
+  if (isZero(0, 7) && groups[7] === 1) return "loopback";
+  // Forms that carry an IPv4 address reach that address: IPv4-compatible
+  // (::a.b.c.d), IPv4-mapped (::ffff:a.b.c.d), NAT64 (64:ff9b::a.b.c.d and
+  // 64:ff9b:1::/48), 6to4 (2002:aabb:ccdd::/48) and Teredo (2001::/32, whose
+  // last 32 bits are the client's address inverted)
+  if (isZero(0, 6)) return ipv4Reason(embeddedIPv4);
+  if (isZero(0, 5) && groups[5] === 0xffff) return ipv4Reason(embeddedIPv4);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && (isZero(2, 6) || groups[2] === 1)) return ipv4Reason(embeddedIPv4);
+  if (groups[0] === 0x2002) return ipv4Reason(groups[1] * 65536 + groups[2]);
+  if (groups[0] === 0x2001 && groups[1] === 0) return ipv4Reason(0xffffffff - embeddedIPv4);
+  if ((groups[0] & 0xfe00) === 0xfc00) return "private";
+  if ((groups[0] & 0xffc0) === 0xfe80) return "link-local";
+  if ((groups[0] & 0xffc0) === 0xfec0) return "private";
+  if ((groups[0] & 0xff00) === 0xff00) return "multicast";
+  return null;
+}
+
+/**
+ * Why an IP address is off limits ("private", "loopback", "link-local",
+ * "multicast" or "reserved"), or null for a public address.
+ */
+export function blockedAddressReason(address) {
+  const ipv4 = parseIPv4(address);
+  if (ipv4 !== null) return ipv4Reason(ipv4);
+  const ipv6 = parseIPv6(address);
+  return ipv6 ? ipv6Reason(ipv6) : null;
+}
+
+/**
+ * A hostname as the URL parser writes it ("2130706433" and "0x7f.1" become
+ * "127.0.0.1", IPv6 loses its brackets), or null if it isn't one. Connections
+ * are made to the same address, so checks must look at this form.
+ */
+export function normalizeHostname(hostname) {
+  if (typeof hostname !== "string" || hostname === "") return null;
+  const bare = hostname.replace(/^\[(.*)\]$/, "$1");
+  try {
+    const parsed = new URL(`http://${bare.includes(":") ? `[${bare}]` : bare}/`).hostname;
+    return parsed.replace(/^\[(.*)\]$/, "$1").replace(/\.$/, "");
+  } catch {
+    return null;
+  }
+}
+
+// Reason a name is off limits without looking it up, or null
+function internalNameReason(hostname) {
+  if (hostname === "localhost") return "loopback hostname";
+  if (INTERNAL_SUFFIXES.some((suffix) => hostname.endsWith(suffix))) return "internal hostname";
+  // Single-label names (Docker services, search domains) resolve inside the network
+  if (!hostname.includes(".") && !hostname.includes(":")) return "internal hostname";
+  return null;
+}
+
+async function resolveAddresses(hostname) {
+  const cached = dnsCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.addresses;
+  }
+
+  const lookups = await Promise.allSettled([
+    Deno.resolveDns(hostname, "A"),
+    Deno.resolveDns(hostname, "AAAA"),
+  ]);
+  const addresses = lookups.flatMap((lookup) => lookup.status === "fulfilled" ? lookup.value : []);
+
+  if (dnsCache.size >= DNS_CACHE_MAX_ENTRIES) {
+    dnsCache.clear();
+  }
+  dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL_MS });
+  return addresses;
+}
+
+/**
+ * Whether a function may open a connection to `hostname`. Resolves to
+ * { allowed: true, addresses } or { allowed: false, reason }. Names are
+ * resolved and refused if any address is off limits; a name that doesn't
+ * resolve is let through, since the connection will fail on its own.
+ * `addresses` are the checked addresses to connect to, so the name isn't
+ * looked up a second time; it is empty when nothing was checked.
+ */
+export async function checkEgress(hostname, { allowPrivateNetwork = false } = {}) {
+  const host = normalizeHostname(hostname);
+  if (host === null) {
+    return { allowed: false, reason: "invalid hostname" };
+  }
+  if (allowPrivateNetwork) {
+    return { allowed: true, addresses: [] };
+  }
+
+  if (parseIPv4(host) !== null || parseIPv6(host)) {
+    const reason = blockedAddressReason(host);
+    return reason ? { allowed: false, reason: `${reason} address` } : { allowed: true, addresses: [host] };
+  }
+
+  const nameReason = internalNameReason(host);
+  if (nameReason) {
+    return { allowed: false, reason: nameReason };
+  }
+
+  const addresses = await resolveAddresses(host);
+  for (const address of addresses) {
+    const reason = blockedAddressReason(address);
+    if (reason) {
+      return { allowed: false, reason: `${host} resolves to a ${reason} address (${address})` };
+    }
+  }
+  return { allowed: true, addresses };
+}
+
+/**
+ * Splits a "host" or "host:port" allow-list entry (IPv6 hosts in brackets).
+ * Returns { hostname, port } with port null when any port is allowed, or
+ * null if the entry is malformed.
+ */
+export function parseAllowListEntry(entry) {
+  if (typeof entry !== "string") return null;
+  const match = entry.match(/^(\[[0-9a-f:.]+\]|[a-z0-9.-]+)(?::(\d{1,5}))?$/i);
+  if (!match) return null;
+
+  const port = match[2] === undefined ? null : Number(match[2]);
+  if (port !== null && (port < 1 || port > 65535)) return null;
+
+  const hostname = normalizeHostname(match[1]);
+  if (hostname === null || hostname.startsWith(".") || hostname.includes("..")) return null;
+  return { hostname, port };
+}
+
+/**
+ * Checks the shape of permissions.net: true, false, or a list of
+ * "host" / "host:port" entries. Returns { valid, error }.
+ */
+export function validateAllowList(value) {
+  if (typeof value === "boolean") {
+    return { valid: true };
+  }
+  if (!Array.isArray(value)) {
+    return { valid: false, error: "Permission net must be true, false or a list of hosts" };
+  }
+  if (value.length > MAX_ALLOW_LIST_ENTRIES) {
+    return { valid: false, error: `Permission net can list at most ${MAX_ALLOW_LIST_ENTRIES} hosts` };
+  }
+  for (const entry of value) {
+    if (!parseAllowListEntry(entry)) {
+      return { valid: false, error: `Invalid host in permission net: ${entry}` };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Refuses allow-list entries that point into private networks, unless the
+ * function is allowed to go there. Resolves to { valid, error }.
+ */
+export async function checkAllowListTargets(value, { allowPrivateNetwork = false } = {}) {
+  if (!Array.isArray(value) || allowPrivateNetwork) {
+    return { valid: true };
+  }
+  for (const entry of value) {
+    const { hostname } = parseAllowListEntry(entry);
+    const check = await checkEgress(hostname);
+    if (!check.allowed) {
+      return { valid: false, error: `Host ${entry} is not reachable from functions: ${check.reason}` };
+    }
+  }
+  return { valid: true };
+}
+
+function formatAllowListEntry({ hostname, port }) {
+  const host = hostname.includes(":") ? `[${hostname}]` : hostname;
+  return port === null ? host : `${host}:${port}`;
+}
+
+/**
+ * The allow-list as a worker's `permissions.net`, keeping only the entries
+ * that are reachable right now: a name that has come to resolve into a
+ * private network since the list was saved is dropped, and so is one that
+ * doesn't resolve, since nothing checked where it will point. Resolves to
+ * { hosts, dropped } where `dropped` lists { entry, reason }.
+ */
+export async function vetAllowList(value, { allowPrivateNetwork = false } = {}) {
+  const hosts = [];
+  const dropped = [];
+  for (const entry of value) {
+    const parsed = parseAllowListEntry(entry);
+    const check = await checkEgress(parsed.hostname, { allowPrivateNetwork });
+    if (!check.allowed) {
+      dropped.push({ entry, reason: check.reason });
+    } else if (!allowPrivateNetwork && check.addresses.length === 0) {
+      dropped.push({ entry, reason: `${parsed.hostname} does not resolve` });
+    } else {
+      hosts.push(formatAllowListEntry(parsed));
+    }
+  }
+  return { hosts, dropped };
+}
@@ -0,0 +1,163 @@
+// egress_test.js - Tests for outbound network rules
+import assert from "node:assert/strict";
+import {
+  blockedAddressReason,
+  normalizeHostname,
+  checkEgress,
+  parseAllowListEntry,
+  validateAllowList,
+  checkAllowListTargets,
+  vetAllowList,
+} from "./egress.js";
+
+// Answers lookups from a fixed zone instead of the network
+function withDns(zone, fn) {
+  return async () => {
+    const resolveDns = Deno.resolveDns;
+    Deno.resolveDns = (name, type) => {
+      const records = (zone[name] ?? []).filter((address) => address.includes(":") === (type === "AAAA"));
+      return records.length > 0 ? Promise.resolve(records) : Promise.reject(new Deno.errors.NotFound(name));
+    };
+    try {
+      await fn();
+    } finally {
+      Deno.resolveDns = resolveDns;
+    }
+  };
+}
+
+Deno.test("blockedAddressReason classifies IPv4 ranges", () => {
+  const cases = {
+    "10.1.2.3": "private",
+    "172.16.0.1": "private",
+    "172.31.255.255": "private",
+    "192.168.1.1": "private",
+    "100.64.0.1": "private",
+    "127.0.0.1": "loopback",
+    "169.254.169.254": "link-local",
+    "0.0.0.0": "reserved",
+    "224.0.0.1": "multicast",
+    "255.255.255.255": "reserved",
+    "172.32.0.1": null,
+    "8.8.8.8": null,
+    "1.1.1.1": null,
+  };
+  for (const [address, reason] of Object.entries(cases)) {
+    assert.equal(blockedAddressReason(address), reason, address);
+  }
+});
+
+Deno.test("blockedAddressReason classifies IPv6 ranges and embedded IPv4", () => {
+  const cases = {
+    "::": "reserved",
+    "::1": "loopback",
+    "fd00::1": "private",
+    "fe80::1": "link-local",
+    "ff02::1": "multicast",
+    "::ffff:7f00:1": "loopback",
+    "::ffff:a00:1": "private",
+    "64:ff9b::a9fe:a9fe": "link-local",
+    "64:ff9b:1::a00:1": "private",
+    "::7f00:1": "loopback",
+    "::a00:5": "private",
+    "2002:a9fe:a9fe::1": "link-local",
+    "2002:c0a8:101::": "private",
+    "2001:0:4136:e378:8000:63bf:80ff:fffe": "loopback",
+    "::ffff:127.0.0.1": "loopback",
+    "::10.0.0.1": "private",
+    "::ffff:808:808": null,
+    "::808:808": null,
+    "2002:808:808::1": null,
+    "2001:0:4136:e378:8000:63bf:f7f7:f7f7": null,
+    "2606:4700:4700::1111": null,
+  };
+  for (const [address, reason] of Object.entries(cases)) {
+    assert.equal(blockedAddressReason(address), reason, address);
+  }
+});
+
+Deno.test("normalizeHostname writes hosts the way the URL parser does", () => {
+  assert.equal(normalizeHostname("2130706433"), "127.0.0.1");
+  assert.equal(normalizeHostname("0x7f.1"), "127.0.0.1");
+  assert.equal(normalizeHostname("[::FFFF:127.0.0.1]"), "::ffff:7f00:1");
+  assert.equal(normalizeHostname("Example.COM."), "example.com");
+  assert.equal(normalizeHostname(""), null);
+  assert.equal(normalizeHostname("a b"), null);
+});
+
+Deno.test("checkEgress refuses private addresses and internal names", async () => {
+  assert.deepEqual(await checkEgress("127.1"), { allowed: false, reason: "loopback address" });
+  assert.deepEqual(await checkEgress("[::1]"), { allowed: false, reason: "loopback address" });
+  assert.deepEqual(await checkEgress("[::127.0.0.1]"), { allowed: false, reason: "loopback address" });
+  assert.deepEqual(await checkEgress("[2002:7f00:1::]"), { allowed: false, reason: "loopback address" });
+  assert.deepEqual(await checkEgress("localhost"), { allowed: false, reason: "loopback hostname" });
+  assert.deepEqual(await checkEgress("db.internal"), { allowed: false, reason: "internal hostname" });
+  assert.deepEqual(await checkEgress("postgres"), { allowed: false, reason: "internal hostname" });
+  assert.deepEqual(await checkEgress(""), { allowed: false, reason: "invalid hostname" });
+  assert.deepEqual(await checkEgress("93.184.215.14"), { allowed: true, addresses: ["93.184.215.14"] });
+});
+
+Deno.test("checkEgress lets an admin open private networks", async () => {
+  assert.deepEqual(await checkEgress("10.0.0.1", { allowPrivateNetwork: true }), { allowed: true, addresses: [] });
+  assert.deepEqual(await checkEgress("localhost", { allowPrivateNetwork: true }), { allowed: true, addresses: [] });
+});
+
+Deno.test("checkEgress resolves names and checks every address", withDns({
+  "public.example.com": ["93.184.215.14", "2606:2800:21f:cb07:6820:80da:af6b:8b2c"],
+  "rebind.example.com": ["93.184.215.14", "10.0.0.5"],
+}, async () => {
+  assert.deepEqual(await checkEgress("public.example.com"), {
+    allowed: true,
+    addresses: ["93.184.215.14", "2606:2800:21f:cb07:6820:80da:af6b:8b2c"],
+  });
+  assert.deepEqual(await checkEgress("rebind.example.com"), {
+    allowed: false,
+    reason: "rebind.example.com resolves to a private address (10.0.0.5)",
+  });
+  // Left to fail on its own
+  assert.deepEqual(await checkEgress("missing.example.com"), { allowed: true, addresses: [] });
+}));
+
+Deno.test("parseAllowListEntry splits host and port", () => {
+  assert.deepEqual(parseAllowListEntry("api.example.com"), { hostname: "api.example.com", port: null });
+  assert.deepEqual(parseAllowListEntry("API.example.com:8443"), { hostname: "api.example.com", port: 8443 });
+  assert.deepEqual(parseAllowListEntry("[2606:4700::1]:443"), { hostname: "2606:4700::1", port: 443 });
+  assert.equal(parseAllowListEntry("example.com:0"), null);
+  assert.equal(parseAllowListEntry("example.com:70000"), null);
+  assert.equal(parseAllowListEntry("http://example.com"), null);
+  assert.equal(parseAllowListEntry("a..b"), null);
+});
+
+Deno.test("validateAllowList checks the shape of permissions.net", () => {
+  assert.deepEqual(validateAllowList(true), { valid: true });
+  assert.deepEqual(validateAllowList(["example.com", "1.1.1.1:53"]), { valid: true });
+  assert.equal(validateAllowList("example.com").error, "Permission net must be true, false or a list of hosts");
+  assert.equal(validateAllowList(["x:99999"]).error, "Invalid host in permission net: x:99999");
+  assert.match(validateAllowList(Array(51).fill("example.com")).error, /at most 50 hosts/);
+});
+
+Deno.test("checkAllowListTargets refuses entries in private networks", async () => {
+  assert.deepEqual(await checkAllowListTargets(["1.1.1.1"]), { valid: true });
+  assert.equal(
+    (await checkAllowListTargets(["1.1.1.1", "192.168.0.10:80"])).error,
+    "Host 192.168.0.10:80 is not reachable from functions: private address",
+  );
+  assert.deepEqual(await checkAllowListTargets(["192.168.0.10"], { allowPrivateNetwork: true }), { valid: true });
+});
+
+Deno.test("vetAllowList drops names that now resolve into private networks or don't resolve", withDns({
+  "api.example.org": ["93.184.215.14"],
+  "moved.example.org": ["169.254.169.254"],
+}, async () => {
+  assert.deepEqual(await vetAllowList(["api.example.org:443", "moved.example.org", "gone.example.org", "[2606:4700::1]"]), {
+    hosts: ["api.example.org:443", "[2606:4700::1]"],
+    dropped: [
+      { entry: "moved.example.org", reason: "moved.example.org resolves to a link-local address (169.254.169.254)" },
+      { entry: "gone.example.org", reason: "gone.example.org does not resolve" },
+    ],
+  });
+  assert.deepEqual(
+    (await vetAllowList(["moved.example.org", "gone.example.org"], { allowPrivateNetwork: true })).hosts,
+    ["moved.example.org", "gone.example.org"],
+  );
+}));
@@ -0,0 +1,201 @@
+// egressproxy.js - The HTTP proxy that carries outbound traffic for net: true functions
+// Such a worker has Deno net permission for this proxy alone, so whatever its
+// code does (fetch, Deno.connect, node:net) it can only reach the proxy.
+// Webhook deliveries, whose URLs users choose, go through it as well. The
+// proxy listens on loopback, accepts only workers holding a grant, runs the
+// egress.js checks on each target and connects to the address it checked,
+// so a name can't be re-resolved into a private network in between.
+//
+// Supported requests: CONNECT host:port (tunnels for HTTPS and raw TCP) and
+// plain HTTP in absolute form (GET http://host/path), one per connection.
+import { checkEgress } from "./egress.js";
+import { log } from "./logger.js";
+
+const MAX_HEAD_BYTES = 16 * 1024;
+const HEAD_TIMEOUT_MS = 10000;
+const HOP_BY_HOP_HEADERS = new Set(["proxy-authorization", "proxy-connection", "connection", "keep-alive"]);
+
+// token -> { logFields, allowPrivateNetwork }
+const grants = new Map();
+let listenAddress = null;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Starts listening on a free loopback port, once. Returns { hostname, port }.
+ */
+export function startEgressProxy() {
+  if (listenAddress) return listenAddress;
+  const listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  listenAddress = { hostname: "127.0.0.1", port: listener.addr.port };
+  (async () => {
+    for await (const conn of listener) {
+      handleConnection(conn);
+    }
+  })();
+  return listenAddress;
+}
+
+/**
+ * Lets the holder of the returned token use the proxy until revoked. The
+ * token is sent as the username of Basic proxy authorization; `logFields`
+ * say whose connection it is when one is blocked.
+ */
+export function grantEgress({ logFields, allowPrivateNetwork = false }) {
+  const token = Array.from(crypto.getRandomValues(new Uint8Array(24)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  grants.set(token, { logFields, allowPrivateNetwork });
+  return token;
+}
+
+export function revokeEgress(token) {
+  grants.delete(token);
+}
+
+// Reads up to the blank line ending the request head; returns the head and
+// any bytes that came in after it
+async function readHead(conn) {
+  const buffer = new Uint8Array(MAX_HEAD_BYTES);
+  let length = 0;
+  while (length < buffer.length) {
+    const read = await conn.read(buffer.subarray(length));
+    if (read === null) return null;
+    const from = Math.max(0, length - 3);
+    length += read;
+    for (let i = from; i + 3 < length; i++) {
+      if (buffer[i] === 13 && buffer[i + 1] === 10 && buffer[i + 2] === 13 && buffer[i + 3] === 10) {
+        return { head: decoder.decode(buffer.subarray(0, i)), rest: buffer.slice(i + 4, length) };
+      }
+    }
+  }
+  return null;
+}
+
+function parseHead(head) {
+  const [requestLine, ...lines] = head.split("\r\n");
+  const [method, target, version] = requestLine.split(" ");
+  const headers = [];
+  for (const line of lines) {
+    const index = line.indexOf(":");
+    if (index > 0) headers.push([line.slice(0, index).trim(), line.slice(index + 1).trim()]);
+  }
+  return { method, target, version, headers };
+}
+
+// "host:port" or "[v6]:port" from a CONNECT request
+function parseAuthority(authority) {
+  const match = authority?.match(/^(\[[0-9a-f:.]+\]|[^:[\]]+):(\d{1,5})$/i);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 65535) return null;
+  return { hostname: match[1].replace(/^\[(.*)\]$/, "$1"), port: Number(match[2]) };
+}
+
+function grantFor(headers) {
+  const value = headers.find(([name]) => name.toLowerCase() === "proxy-authorization")?.[1];
+  const match = value?.match(/^Basic\s+(\S+)$/i);
+  if (!match) return null;
+  try {
+    return grants.get(atob(match[1]).split(":")[0]) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function reply(conn, status, reason, extraHeaders = "") {
+  const body = encoder.encode(`${reason}\n`);
+  const head = `HTTP/1.1 ${status} ${reason}\r\nContent-Type: text/plain\r\nContent-Length: ${body.length}\r\nConnection: close\r\n${extraHeaders}\r\n`;
+  await writeAll(conn, encoder.encode(head));
+  await writeAll(conn, body);
+}
+
+async function writeAll(conn, bytes) {
+  let written = 0;
+  while (written < bytes.length) {
+    written += await conn.write(bytes.subarray(written));
+  }
+}
+
+// Connects to a target that passed the egress checks
+async function connectChecked(grant, hostname, port) {
+  const check = await checkEgress(hostname, { allowPrivateNetwork: grant.allowPrivateNetwork });
+  if (!check.allowed) {
+    log.warn("Blocked outbound connection", { ...grant.logFields, hostname, reason: check.reason });
+    return { error: check.reason };
+  }
+  if (check.addresses.length === 0 && !grant.allowPrivateNetwork) {
+    return { error: `${hostname} did not resolve` };
+  }
+  const address = check.addresses[0] ?? hostname;
+  return { upstream: await Deno.connect({ hostname: address, port }) };
+}
+
+async function handleConnection(conn) {
+  let upstream = null;
+  const headTimer = setTimeout(() => conn.close(), HEAD_TIMEOUT_MS);
+  try {
+    const received = await readHead(conn);
+    clearTimeout(headTimer);
+    if (!received) return;
+    const request = parseHead(received.head);
+
+    const grant = grantFor(request.headers);
+    if (!grant) {
+      await reply(conn, 407, "Proxy Authentication Required", "Proxy-Authenticate: Basic realm=\"novirun\"\r\n");
+      return;
+    }
+
+    if (request.method === "CONNECT") {
+      const target = parseAuthority(request.target);
+      if (!target) {
+        await reply(conn, 400, "Bad Request");
+        return;
+      }
+      const connected = await connectChecked(grant, target.hostname, target.port);
+      if (connected.error) {
+        await reply(conn, 403, `Forbidden: ${connected.error}`);
+        return;
+      }
+      upstream = connected.upstream;
+      await writeAll(conn, encoder.encode("HTTP/1.1 200 Connection Established\r\n\r\n"));
+      if (received.rest.length > 0) await writeAll(upstream, received.rest);
+    } else {
+      let url;
+      try {
+        url = new URL(request.target);
+      } catch {
+        url = null;
+      }
+      if (!url || url.protocol !== "http:") {
+        await reply(conn, 400, "Bad Request");
+        return;
+      }
+      const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+      const connected = await connectChecked(grant, hostname, Number(url.port || 80));
+      if (connected.error) {
+        await reply(conn, 403, `Forbidden: ${connected.error}`);
+        return;
+      }
+      upstream = connected.upstream;
+      // The origin sees an ordinary request; one per connection keeps every request checked
+      const headers = request.headers.filter(([name]) => !HOP_BY_HOP_HEADERS.has(name.toLowerCase()));
+      const head = [`${request.method} ${url.pathname}${url.search} ${request.version}`, ...headers.map(([name, value]) => `${name}: ${value}`), "Connection: close"];
+      await writeAll(upstream, encoder.encode(head.join("\r\n") + "\r\n\r\n"));
+      if (received.rest.length > 0) await writeAll(upstream, received.rest);
+    }
+
+    await Promise.allSettled([
+      conn.readable.pipeTo(upstream.writable),
+      upstream.readable.pipeTo(conn.writable),
+    ]);
+  } catch (error) {
+    log.debug("Egress proxy connection failed", { error: error.message });
+  } finally {
+    clearTimeout(headTimer);
+    for (const side of [conn, upstream]) {
+      try {
+        side?.close();
+      } catch {
+        // Already closed by its stream
+      }
+    }
+  }
+}
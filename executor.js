@@ -1,254 +1,905 @@
 // executor.js - Deno Worker-based execution with security and quota enforcement
-import { logExecution, updateQuota, getQuota } from "./database.js";
+import { logExecution, acquireQuotaSlot, releaseQuotaSlot, getFunctionEnvValues } from "./database.js";
+import { decryptSecret } from "./secrets.js";
+import { redactSecrets, detectFunctionFormat } from "./utils.js";
+import { config } from "./config.js";
+import { emitEvent, emitQuotaEvent, QUOTA_WARNING_THRESHOLD } from "./webhooks.js";
+import { checkEgress, vetAllowList } from "./egress.js";
+import { startEgressProxy, grantEgress, revokeEgress } from "./egressproxy.js";
+import {
+  functionInvocations,
+  functionDuration,
+  workerStarts,
+  workerEvictions,
+  quotaRejections,
+  capacityRejections,
+} from "./metrics.js";
+import { startSpan, withSpan, formatTraceparent, now } from "./tracing.js";
+import { log } from "./logger.js";
 
-const MAX_EXECUTION_TIME_MS = 15000; // 15 seconds hard limit
-const MAX_CPU_TIME_MS = 2 * 60 * 60 * 1000; // 2 hours
-const MAX_CONCURRENT_EXECUTIONS = 10; // per user
-const MAX_INSTANCES_PER_MACHINE = 50;
+const MAX_LOG_BYTES = 1000000; // 1MB of console output kept per execution
+const CAPACITY_RETRY_AFTER_SECONDS = 1;
+// Result status for a run stopped by each limit
+const LIMIT_STATUSES = { timeout: "timeout", memory: "oom" };
+const CONCURRENCY_RETRY_AFTER_SECONDS = 1;
+// Webhook event for each failed execution status
+const FAILURE_EVENTS = { error: "execution.error", oom: "execution.error", timeout: "execution.timeout" };
+// Network access is added per function (see `permissions` below)
+const WORKER_PERMISSIONS = {
+  net: false,     // No fetch/HTTP unless the function asks for it (see egress.js)
+  read: false,    // No filesystem
+  write: false,   // No filesystem writes
+  env: false,     // No env vars
+  run: false,     // No subprocesses
+  ffi: false,     // No native code
+};
+
+// Worker runtime lives in worker.js; it is loaded once and spawned from a blob
+// URL so the sandboxed worker never needs read access to the app directory
+const WORKER_SOURCE = await Deno.readTextFile(new URL("./worker.js", import.meta.url));
+const WORKER_URL = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: "application/javascript" }));
+
+// Where net: true workers send all their traffic
+const EGRESS_PROXY = startEgressProxy();
+const NULL_BODY_STATUSES = new Set([101, 103, 204, 205, 304]);
 
+// Live workers on this machine, busy and idle alike
 let currentInstanceCount = 0;
 
-export async function executeFunction(functionId, userId, code, inputData = null, language = 'javascript') {
+// Warm pool: functionId -> { key, code, language, format, permissions, allowPrivateNetwork,
+// netPermission, useEgressProxy, env, memoryLimitMb, idle, busy, warming }.
+// `key` hashes the code and network access the workers were started with; a
+// deploy or permission change alters it and retires the old workers.
+const pools = new Map();
+const poolStats = { hits: 0, misses: 0, evictions: 0 };
+
+/**
+ * Runs a function in a sandboxed worker, reusing a warm one when the pool has
+ * it loaded with the same code.
+ * `code` is either a handler body snippet or a module exporting a default
+ * { fetch } / handler function; the format is detected from the code itself.
+ * Options:
+ *   request - the caller's HTTP request ({ method, path, headers, body }) that
+ *             is replayed against the function's handler; omit it for a plain GET /
+ *   version - the deployed version being run, recorded with the execution
+ *   limits  - the function's own { timeoutMs, memoryMb }; null fields fall back
+ *             to the plan, and nothing can exceed the platform config
+ *   permissions - the function's sandbox grants ({ net: true } or a list of
+ *             "host[:port]" for outbound network access); everything else stays denied
+ *   allowPrivateNetwork - let the function reach private, loopback and
+ *             link-local addresses (an admin override)
+ *   trigger - what started the run ("http", "cron" or "async"), recorded with the execution
+ *   requestId - the X-Request-Id the run belongs to, recorded with the execution
+ * Result statuses: "success", "error" (the function failed), "timeout" and
+ * "oom" (a limit stopped it; `limit` says which one as { name, value, source }),
+ * "throttled" (this machine is at capacity) and "quota_exceeded" (a plan
+ * limit); the last two never start a worker and carry `retryAfter` seconds.
+ */
+export async function executeFunction(functionId, userId, code, inputData = null, language = 'javascript', options = {}) {
+  const { request = null, version = null, limits = {}, permissions = {}, allowPrivateNetwork = false, trigger = "http", requestId = null } = options;
+  const reject = (status, error, retryAfter = null) => {
+    functionInvocations.inc({ function_id: functionId, status, trigger });
+    return rejection(status, error, retryAfter);
+  };
+  // Whether a concurrency slot is taken that only this function will give back
+  let holdingSlot = false;
+
   try {
-    // Check machine-level limit
-    if (currentInstanceCount >= MAX_INSTANCES_PER_MACHINE) {
-      return {
-        status: "error",
-        error: "Machine at capacity: maximum 50 concurrent instances reached",
-        executionTimeMs: 0,
-      };
-    }
+    const network = await networkSettings(functionId, permissions, allowPrivateNetwork);
+    const key = await poolKey(code, language, permissions, allowPrivateNetwork, network.netPermission);
 
-    // Check user quotas
-    const quota = await getQuota(userId);
-    if (!quota) {
-      return {
-        status: "error",
-        error: "User quota not initialized",
-        executionTimeMs: 0,
-      };
+    // Check machine-level limit (idle workers can be evicted to make room)
+    if (!canCheckoutWorker(functionId, key)) {
+      capacityRejections.inc();
+      return reject(
+        "throttled",
+        `Machine at capacity: maximum ${config.maxInstancesPerMachine} concurrent instances reached`,
+        CAPACITY_RETRY_AFTER_SECONDS
+      );
     }
 
-    if (quota.concurrent_count >= MAX_CONCURRENT_EXECUTIONS) {
-      return {
-        status: "error",
-        error: `User concurrent execution limit (${MAX_CONCURRENT_EXECUTIONS}) reached`,
-        executionTimeMs: 0,
-      };
-    }
+    const env = await loadFunctionEnv(functionId);
 
-    if (quota.cpu_time_used_ms >= MAX_CPU_TIME_MS) {
-      return {
-        status: "error",
-        error: "User CPU time quota exceeded (2 hour limit)",
-        executionTimeMs: 0,
-      };
+    // Take a concurrency slot against the user's plan (atomic in the database)
+    const slot = await withSpan("quota check", { attributes: { "novirun.user.id": userId } }, async (span) => {
+      const result = await acquireQuotaSlot(userId, {
+        maxConcurrent: config.maxConcurrentExecutions,
+        cpuTimeLimitMs: Math.round(config.maxCpuTimeMs),
+      });
+      span.setAttributes({ "novirun.quota.acquired": result.acquired, "novirun.quota.reason": result.reason });
+      return result;
+    });
+    if (!slot.acquired) {
+      if (slot.reason === "uninitialized") {
+        return reject("error", quotaRejectionMessage(slot));
+      }
+      quotaRejections.inc({ reason: slot.reason });
+      if (slot.reason !== "concurrency") {
+        emitQuotaEvent(userId, "exceeded", {
+          reason: slot.reason,
+          cpuTimeUsedMs: slot.quota.cpu_time_used_ms,
+          cpuTimeLimitMs: slot.quota.cpu_time_limit_ms,
+          executionsCount: slot.quota.executions_count,
+          maxExecutions: slot.quota.max_executions,
+        });
+      }
+      return reject("quota_exceeded", quotaRejectionMessage(slot), quotaRetryAfterSeconds(slot));
     }
+    holdingSlot = true;
+
+    const runLimits = {
+      timeout: resolveLimit("timeout", config.maxExecutionTimeMs, slot.quota.max_timeout_ms, limits.timeoutMs),
+      memory: resolveLimit("memory", config.maxMemoryMb, slot.quota.max_memory_mb, limits.memoryMb),
+    };
 
-    currentInstanceCount++;
-    await updateQuota(userId, 0, quota.concurrent_count + 1);
+    const pool = preparePool(functionId, key, {
+      code,
+      language,
+      format: detectFunctionFormat(code),
+      permissions,
+      allowPrivateNetwork,
+      ...network,
+      env,
+      memoryLimitMb: runLimits.memory.value,
+    });
+    const entry = checkoutWorker(pool);
+    if (!entry) {
+      // Capacity went while we were talking to the database
+      dropPoolIfEmpty(pool);
+      holdingSlot = false;
+      await releaseQuotaSlot(userId, 0, { refundExecution: true });
+      capacityRejections.inc();
+      return reject(
+        "throttled",
+        `Machine at capacity: maximum ${config.maxInstancesPerMachine} concurrent instances reached`,
+        CAPACITY_RETRY_AFTER_SECONDS
+      );
+    }
+    topUpPool(pool);
 
     const startTime = Date.now();
+    // The function's `req` carries this span's traceparent, so its own spans nest under it
+    const handlerSpan = startSpan("function handler", {
+      attributes: { "novirun.function.id": functionId, "novirun.function.version": version, "novirun.trigger": trigger },
+    });
 
-    try {
-      // Inline worker code - Deno natively supports TypeScript!
-      const workerCode = `
-self.onmessage = async (e) => {
-  const { code, input, functionId, language } = e.data;
-  const startTime = performance.now();
+    const run = await invokeWorker(entry, {
+      code: code,
+      input: inputData,
+      functionId: functionId,
+      language: language,
+      format: pool.format,
+      request: request,
+      env: env,
+      memoryLimitMb: runLimits.memory.value,
+      traceparent: formatTraceparent(handlerSpan),
+    }, request?.body ? [request.body.buffer] : [], runLimits);
+    traceWorkerStartup(entry, run.timing, handlerSpan);
 
-  try {
-    // Deno can run both JavaScript and TypeScript directly
-    const wrappedCode = \`
-      const input = \${JSON.stringify(input)};
-      
-      const handler = async (req) => {
-        \${code}
-      };
-      
-      const server = Deno.serve({ 
-        port: 0,
-        hostname: "127.0.0.1",
-        onListen: () => {}
-      }, handler);
-      
-      try {
-        const response = await fetch("http://127.0.0.1:" + server.addr.port);
-        const body = await response.text();
-        
-        const headers = {};
-        response.headers.forEach((value, key) => {
-          headers[key] = value;
-        });
-        
-        const result = {
-          status: response.status,
-          headers: headers,
-          body: body
-        };
-        
-        await server.shutdown();
-        console.log(JSON.stringify(result));
-      } catch (err) {
-        await server.shutdown();
-        throw err;
+    // Accounting waits for the body to finish streaming, not just the headers
+    const completion = run.completion.then(async (final) => {
+      const executionTimeMs = Date.now() - startTime;
+      const finishedAt = now();
+      handlerSpan.setAttribute("novirun.execution.status", final.status);
+      if (final.status !== "success") {
+        handlerSpan.fail(final.error);
       }
-    \`;
-
-    // Use appropriate MIME type based on language
-    const mimeType = language === 'typescript' ? 'application/typescript' : 'application/javascript';
-    const blob = new Blob([wrappedCode], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-
-    try {
-      await import(url);
-      const executionTime = performance.now() - startTime;
-      self.postMessage({ status: "success", executionTimeMs: executionTime });
-    } finally {
-      URL.revokeObjectURL(url);
-    }
-  } catch (error) {
-    const executionTime = performance.now() - startTime;
-    self.postMessage({
-      status: "error",
-      error: error.message,
-      stack: error.stack,
-      executionTimeMs: executionTime
-    });
-  } finally {
-    self.close();
-  }
-};
-      `;
-      
-      // Create worker from inline code
-      const workerBlob = new Blob([workerCode], { type: "application/javascript" });
-      const workerUrl = URL.createObjectURL(workerBlob);
-      
-      const worker = new Worker(workerUrl, {
-        type: "module",
-        deno: {
-          permissions: {
-            net: true,      // Allow fetch/HTTP
-            read: false,    // No filesystem
-            write: false,   // No filesystem writes
-            env: false,     // No env vars
-            run: false,     // No subprocesses
-            ffi: false,     // No native code
-          },
-        },
+      functionInvocations.inc({ function_id: functionId, status: final.status, trigger });
+      functionDuration.observe({ function_id: functionId, status: final.status }, executionTimeMs / 1000);
+
+      // The slot goes back even if recording the execution fails below
+      const cpuTimeUsedMs = await releaseQuotaSlot(userId, executionTimeMs).catch((error) => {
+        log.error("Quota release failed", { functionId, error: error.message });
+        return null;
       });
+      if (cpuTimeUsedMs !== null) {
+        notifyQuotaUsage(userId, cpuTimeUsedMs, Math.min(slot.quota.cpu_time_limit_ms ?? Infinity, config.maxCpuTimeMs));
+      }
 
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
-        worker.terminate();
-      }, MAX_EXECUTION_TIME_MS);
-
-      // Execute and wait for result
-      const result = await new Promise((resolve) => {
-        let output = "";
-
-        // Capture console output from worker
-        worker.addEventListener("message", (e) => {
-          const data = e.data;
-          
-          if (data.status === "success") {
-            clearTimeout(timeoutId);
-            worker.terminate();
-            resolve({
-              status: "success",
-              output: output,
-              executionTimeMs: data.executionTimeMs,
-            });
-          } else if (data.status === "error") {
-            clearTimeout(timeoutId);
-            worker.terminate();
-            resolve({
-              status: "error",
-              error: data.error,
-              executionTimeMs: data.executionTimeMs,
-            });
-          }
-        });
+      // Log execution
+      const executionId = await logExecution({
+        functionId,
+        userId,
+        status: final.status,
+        output: final.output,
+        error: final.error,
+        stack: final.stack,
+        executionTimeMs,
+        logs: final.logs,
+        version,
+        trigger,
+        requestId,
+      });
+      handlerSpan.setAttribute("novirun.execution.id", executionId).end(finishedAt);
 
-        worker.addEventListener("error", (e) => {
-          clearTimeout(timeoutId);
-          worker.terminate();
-          resolve({
-            status: "error",
-            error: e.message || "Worker error",
-            executionTimeMs: Date.now() - startTime,
-          });
+      if (config.enableExecutionLogging) {
+        log.info("Execution finished", {
+          functionId,
+          executionId,
+          version,
+          trigger,
+          status: final.status,
+          error: final.error ?? undefined,
+          executionTimeMs,
         });
+      }
 
-        // Send code to worker
-        worker.postMessage({
-          code: code,
-          input: inputData,
-          functionId: functionId,
-          language: language,
+      if (FAILURE_EVENTS[final.status]) {
+        emitEvent(userId, FAILURE_EVENTS[final.status], {
+          functionId,
+          executionId,
+          status: final.status,
+          error: final.error,
+          trigger,
+          version,
+          executionTimeMs,
         });
+      }
 
-        // Capture stdout (worker's console.log)
-        const originalLog = console.log;
-        console.log = (...args) => {
-          output += args.join(" ");
-          originalLog(...args);
-        };
-
-        // Restore after timeout
-        setTimeout(() => {
-          console.log = originalLog;
-        }, MAX_EXECUTION_TIME_MS + 100);
+      return { ...final, executionId, executionTimeMs };
+    }).catch((error) => {
+      handlerSpan.end();
+      log.error("Execution accounting failed", { functionId, error: error.message });
+      return { status: "error", output: null, error: error.message, stack: null, limit: null, logs: [], executionTimeMs: Date.now() - startTime };
+    });
+    // From here the completion gives the slot back
+    holdingSlot = false;
+
+    return {
+      status: run.status,
+      response: run.response,
+      error: run.error,
+      limit: run.limit,
+      retryAfter: null,
+      executionTimeMs: Date.now() - startTime,
+      completion,
+    };
+  } catch (error) {
+    log.error("Execution failed to start", { functionId, error: error.message });
+    if (holdingSlot) {
+      await releaseQuotaSlot(userId, 0, { refundExecution: true }).catch((releaseError) => {
+        log.error("Quota release failed", { functionId, error: releaseError.message });
       });
+    }
+    return reject("error", error.message);
+  }
+}
 
-      const executionTimeMs = Date.now() - startTime;
+/**
+ * Adds spans for a cold start: the isolate booting, then the function's code
+ * loading. Both are timed by the worker; `handlerSpan` starts once they're done.
+ */
+function traceWorkerStartup(entry, timing, handlerSpan) {
+  if (!timing) return;
+  if (timing.loadStartedAt !== null) {
+    startSpan("worker spawn", { startTime: entry.createdAt }).end(timing.loadStartedAt);
+    startSpan("function load", {
+      startTime: timing.loadStartedAt,
+      attributes: { "novirun.function.id": entry.pool.functionId },
+    }).end(timing.loadEndedAt);
+  }
+  handlerSpan.startTime = timing.handlerStartedAt;
+}
 
-      // Check if execution exceeded CPU time
-      if (quota.cpu_time_used_ms + executionTimeMs > MAX_CPU_TIME_MS) {
-        return {
-          status: "error",
-          error: "Execution would exceed CPU time quota",
-          executionTimeMs,
-        };
-      }
+/**
+ * Invokes code once with a plain GET / in a throwaway worker, to catch
+ * functions that fail to load or to answer a request before they are
+ * deployed. Smoke runs are not pooled, billed or logged, and get the platform
+ * limits. Resolves to { status, httpStatus, error, logs }.
+ */
+export async function smokeTestFunction(code, language, { permissions = {}, allowPrivateNetwork = false, functionId = null } = {}) {
+  if (currentInstanceCount >= config.maxInstancesPerMachine && !evictOldestIdleWorker()) {
+    return { status: "throttled", httpStatus: null, error: "Machine at capacity", logs: [] };
+  }
 
-      // Update quotas
-      await updateQuota(userId, executionTimeMs, quota.concurrent_count - 1);
+  const env = functionId ? await loadFunctionEnv(functionId) : {};
+  const limits = {
+    timeout: resolveLimit("timeout", config.maxExecutionTimeMs, null, null),
+    memory: resolveLimit("memory", config.maxMemoryMb, null, null),
+  };
+  // Never registered in `pools`, so the worker is destroyed when the run ends
+  const pool = {
+    functionId: null,
+    key: null,
+    code,
+    language,
+    format: detectFunctionFormat(code),
+    permissions,
+    allowPrivateNetwork,
+    ...await networkSettings(functionId, permissions, allowPrivateNetwork),
+    env,
+    memoryLimitMb: limits.memory.value,
+    idle: [],
+    busy: 1,
+    warming: 0,
+  };
+  const entry = createWorker(pool);
 
-      // Log execution
-      await logExecution(
-        functionId,
-        userId,
-        result.status,
-        result.status === "success" ? result.output : null,
-        result.status === "error" ? result.error : null,
-        executionTimeMs
-      );
+  const run = await invokeWorker(entry, {
+    code,
+    input: null,
+    language,
+    format: pool.format,
+    request: null,
+    env,
+    memoryLimitMb: limits.memory.value,
+  }, [], limits);
 
-      return {
-        status: result.status,
-        output: result.status === "success" ? result.output : null,
-        error: result.status === "error" ? result.error : null,
-        executionTimeMs,
-      };
-    } finally {
-      currentInstanceCount--;
+  if (run.response?.body) {
+    await new Response(run.response.body).arrayBuffer().catch(() => {});
+  }
+  const final = await run.completion;
+  return {
+    status: final.status,
+    httpStatus: run.response?.status ?? null,
+    error: final.error,
+    logs: final.logs,
+  };
+}
+
+/**
+ * Result for a call that never reached a worker. It has the same shape as a
+ * run's result, including an already-settled `completion`.
+ */
+function rejection(status, error, retryAfter = null) {
+  const record = { status, error, limit: null, executionTimeMs: 0 };
+  return {
+    ...record,
+    response: null,
+    retryAfter,
+    completion: Promise.resolve({ ...record, output: null, stack: null, logs: [] }),
+  };
+}
+
+/**
+ * Picks the tightest of the platform, plan and function values for one limit
+ * and keeps track of where it came from. Ties go to the most specific source.
+ */
+function resolveLimit(name, platformMax, planMax, functionValue) {
+  let limit = { name, value: platformMax, source: "platform" };
+  if (planMax != null && planMax <= limit.value) {
+    limit = { name, value: planMax, source: "plan" };
+  }
+  if (functionValue != null && functionValue <= limit.value) {
+    limit = { name, value: functionValue, source: "function" };
+  }
+  return limit;
+}
+
+function quotaRejectionMessage({ reason, quota }) {
+  switch (reason) {
+    case "concurrency":
+      return `User concurrent execution limit (${quota.max_concurrent}) reached`;
+    case "cpu_time":
+      return `User CPU time quota exceeded (${quota.cpu_time_limit_ms / 3600000} hour limit)`;
+    case "executions":
+      return `User monthly execution limit (${quota.max_executions}) reached`;
+    default:
+      return "User quota not initialized";
+  }
+}
+
+// quota.warning once usage passes the threshold, quota.exceeded once it runs out;
+// each goes out once per quota period
+function notifyQuotaUsage(userId, cpuTimeUsedMs, cpuTimeLimitMs) {
+  if (cpuTimeUsedMs >= cpuTimeLimitMs * QUOTA_WARNING_THRESHOLD) {
+    emitQuotaEvent(userId, "warning", { cpuTimeUsedMs, cpuTimeLimitMs, threshold: QUOTA_WARNING_THRESHOLD });
+  }
+  if (cpuTimeUsedMs >= cpuTimeLimitMs) {
+    emitQuotaEvent(userId, "exceeded", { reason: "cpu_time", cpuTimeUsedMs, cpuTimeLimitMs });
+  }
+}
+
+/**
+ * Concurrency frees up quickly; monthly limits only after the next reset.
+ */
+function quotaRetryAfterSeconds({ reason, quota }) {
+  if (reason === "concurrency") {
+    return CONCURRENCY_RETRY_AFTER_SECONDS;
+  }
+  const nextReset = new Date(quota.last_reset_at);
+  nextReset.setMonth(nextReset.getMonth() + 1);
+  return Math.max(1, Math.ceil((nextReset.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Decrypts the function's environment variables for its worker.
+ */
+async function loadFunctionEnv(functionId) {
+  const env = {};
+  for (const row of await getFunctionEnvValues(functionId)) {
+    env[row.name] = await decryptSecret(row.value_encrypted, `${functionId}:${row.name}`);
+  }
+  return env;
+}
+
+// ============ WARM WORKER POOL ============
+
+async function poolKey(code, language, permissions, allowPrivateNetwork, netPermission) {
+  const material = `${language}\0${JSON.stringify(permissions)}\0${allowPrivateNetwork}\0${JSON.stringify(netPermission)}\0${code}`;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(material));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * What new workers may connect to, enforced by Deno outside the isolate:
+ * nothing, the allow-list entries that still resolve to public addresses, or
+ * with net: true only the egress proxy. The admin override grants net: true
+ * as is.
+ */
+async function networkSettings(functionId, permissions, allowPrivateNetwork) {
+  const net = permissions?.net;
+  if (net === true) {
+    return allowPrivateNetwork
+      ? { netPermission: true, useEgressProxy: false }
+      : { netPermission: [`${EGRESS_PROXY.hostname}:${EGRESS_PROXY.port}`], useEgressProxy: true };
+  }
+  if (!Array.isArray(net) || net.length === 0) {
+    return { netPermission: false, useEgressProxy: false };
+  }
+
+  const { hosts, dropped } = await vetAllowList(net, { allowPrivateNetwork });
+  for (const { entry, reason } of dropped) {
+    log.warn("Left host out of network allow-list", { functionId, host: entry, reason });
+  }
+  return { netPermission: hosts.length > 0 ? hosts : false, useEgressProxy: false };
+}
+
+/**
+ * Returns the function's pool for this code, retiring idle workers that were
+ * loaded with older code. Settings are refreshed so pre-warmed workers match
+ * the latest invocation.
+ */
+function preparePool(functionId, key, settings) {
+  let pool = pools.get(functionId);
+  if (pool && pool.key !== key) {
+    for (const entry of pool.idle.splice(0)) {
+      destroyWorker(entry);
+    }
+    pool = null;
+  }
+  if (!pool) {
+    pool = { functionId, key, idle: [], busy: 0, warming: 0 };
+    pools.set(functionId, pool);
+  }
+  Object.assign(pool, settings);
+  return pool;
+}
+
+function canCheckoutWorker(functionId, key) {
+  const pool = pools.get(functionId);
+  if (pool?.key === key && pool.idle.length > 0) {
+    return true;
+  }
+  return currentInstanceCount < config.maxInstancesPerMachine || hasIdleWorker();
+}
+
+function hasIdleWorker() {
+  for (const pool of pools.values()) {
+    if (pool.idle.length > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Takes a warm worker from the pool (a hit) or starts a new one (a miss),
+ * evicting the longest-idle worker of any function when the machine is full.
+ * Returns null when there is no room at all.
+ */
+function checkoutWorker(pool) {
+  let entry = pool.idle.pop();
+  if (entry) {
+    poolStats.hits++;
+    workerStarts.inc({ function_id: pool.functionId, start: "warm" });
+    clearTimeout(entry.idleTimer);
+  } else {
+    poolStats.misses++;
+    workerStarts.inc({ function_id: pool.functionId, start: "cold" });
+    if (currentInstanceCount >= config.maxInstancesPerMachine && !evictOldestIdleWorker()) {
+      return null;
+    }
+    entry = createWorker(pool);
+  }
+  pool.busy++;
+  return entry;
+}
+
+/**
+ * Hands a worker back after an invocation. Only workers that finished cleanly
+ * and still run the function's current code are kept, up to the pool maximum.
+ */
+function returnWorker(entry, reusable) {
+  const pool = entry.pool;
+  pool.busy--;
+
+  if (!reusable || pools.get(pool.functionId) !== pool || pool.idle.length >= config.poolMaxWarm) {
+    destroyWorker(entry);
+    return;
+  }
+  parkWorker(entry);
+}
+
+function parkWorker(entry) {
+  entry.idleSince = Date.now();
+  entry.idleTimer = setTimeout(() => expireIdleWorker(entry), config.poolIdleTimeoutMs);
+  entry.pool.idle.push(entry);
+}
+
+function expireIdleWorker(entry) {
+  const { pool } = entry;
+  if (pool.idle.length <= config.poolMinWarm && pools.get(pool.functionId) === pool) {
+    // Keep the minimum warm; check again after another idle period
+    entry.idleTimer = setTimeout(() => expireIdleWorker(entry), config.poolIdleTimeoutMs);
+    return;
+  }
+  poolStats.evictions++;
+  workerEvictions.inc();
+  destroyWorker(entry);
+}
+
+function evictOldestIdleWorker() {
+  let oldest = null;
+  for (const pool of pools.values()) {
+    for (const entry of pool.idle) {
+      if (!oldest || entry.idleSince < oldest.idleSince) oldest = entry;
+    }
+  }
+  if (!oldest) return false;
+  poolStats.evictions++;
+  workerEvictions.inc();
+  destroyWorker(oldest);
+  return true;
+}
+
+/**
+ * Pre-warms workers in the background until the pool holds the configured
+ * minimum of idle ones, as far as machine capacity allows.
+ */
+function topUpPool(pool) {
+  while (
+    pool.idle.length + pool.warming < config.poolMinWarm &&
+    currentInstanceCount < config.maxInstancesPerMachine
+  ) {
+    prewarmWorker(pool);
+  }
+}
+
+function prewarmWorker(pool) {
+  const entry = createWorker(pool);
+  pool.warming++;
+
+  const settle = (ready) => {
+    clearTimeout(timeoutId);
+    entry.onMessage = null;
+    entry.onError = null;
+    pool.warming--;
+    if (ready && pools.get(pool.functionId) === pool && pool.idle.length < config.poolMaxWarm) {
+      parkWorker(entry);
+    } else {
+      destroyWorker(entry);
+    }
+  };
+
+  const timeoutId = setTimeout(() => settle(false), config.maxExecutionTimeMs);
+  entry.onMessage = (data) => {
+    if (data.type === "ready") settle(true);
+    else if (data.type === "load-error" || data.type === "oom") settle(false);
+  };
+  entry.onError = () => settle(false);
+
+  entry.worker.postMessage({
+    type: "load",
+    code: pool.code,
+    language: pool.language,
+    format: pool.format,
+    env: pool.env,
+    memoryLimitMb: pool.memoryLimitMb,
+  });
+}
+
+/**
+ * Starts a worker for the pool. Every worker gets one permanent listener that
+ * answers its outbound connection checks, makes the fetches of a net: true
+ * worker through the egress proxy and forwards everything else to
+ * whoever is using it (`onMessage`/`onError`); an idle worker that crashes or
+ * runs out of memory is simply dropped.
+ */
+function createWorker(pool) {
+  const worker = new Worker(WORKER_URL, {
+    type: "module",
+    deno: { permissions: { ...WORKER_PERMISSIONS, net: pool.netPermission } },
+  });
+  currentInstanceCount++;
+
+  const entry = { worker, pool, onMessage: null, onError: null, idleTimer: null, idleSince: 0, destroyed: false, createdAt: now(), egressToken: null, egressClient: null, egressFetches: new Map() };
+  if (pool.useEgressProxy) {
+    entry.egressToken = grantEgress({
+      logFields: { functionId: pool.functionId ?? "(smoke test)" },
+      allowPrivateNetwork: pool.allowPrivateNetwork,
+    });
+    entry.egressClient = Deno.createHttpClient({
+      proxy: { url: `http://${EGRESS_PROXY.hostname}:${EGRESS_PROXY.port}`, basicAuth: { username: entry.egressToken, password: "" } },
+    });
+    worker.postMessage({ type: "egress-proxy", ...EGRESS_PROXY, token: entry.egressToken });
+  }
+
+  worker.addEventListener("message", (e) => {
+    if (e.data.type === "egress-check") {
+      answerEgressCheck(entry, e.data);
+    } else if (e.data.type === "egress-fetch" && entry.egressClient) {
+      answerEgressFetch(entry, e.data);
+    } else if (e.data.type === "egress-fetch-pull") {
+      pullEgressFetch(entry, e.data);
+    } else if (e.data.type === "egress-fetch-cancel") {
+      cancelEgressFetch(entry, e.data.id);
+    } else if (entry.onMessage) {
+      entry.onMessage(e.data);
+    } else if (e.data.type === "oom" || e.data.type === "error") {
+      destroyWorker(entry);
+    }
+  });
+  worker.addEventListener("error", (e) => {
+    e.preventDefault();
+    if (entry.onError) {
+      entry.onError(e.message || "Worker error");
+    } else {
+      destroyWorker(entry);
+    }
+  });
+
+  return entry;
+}
+
+async function answerEgressCheck(entry, { id, hostname }) {
+  const { pool } = entry;
+  const result = await checkEgress(hostname, { allowPrivateNetwork: pool.allowPrivateNetwork }).catch((error) => ({
+    allowed: false,
+    reason: `check failed: ${error.message}`,
+  }));
+  if (!result.allowed) {
+    log.warn("Blocked outbound connection", { functionId: pool.functionId ?? "(smoke test)", hostname, reason: result.reason });
+  }
+  if (!entry.destroyed) {
+    entry.worker.postMessage({ type: "egress-result", id, allowed: result.allowed, reason: result.reason });
+  }
+}
+
+// Deno checks a fetch's target against the caller's permissions, which for a
+// net: true worker cover only the proxy, so its requests are made here with
+// a client that goes through the proxy as that worker. Redirects go back to
+// the worker, which checks and follows them itself.
+async function answerEgressFetch(entry, { id, url, method, headers, body }) {
+  const controller = new AbortController();
+  const fetchState = { controller, reader: null };
+  entry.egressFetches.set(id, fetchState);
+  try {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body,
+      redirect: "manual",
+      client: entry.egressClient,
+      signal: controller.signal,
+    });
+    const hasBody = response.body !== null && !NULL_BODY_STATUSES.has(response.status);
+    if (hasBody) {
+      fetchState.reader = response.body.getReader();
+    } else {
+      await response.body?.cancel();
+      entry.egressFetches.delete(id);
+    }
+    if (!entry.destroyed) {
+      entry.worker.postMessage({
+        type: "egress-fetch-response",
+        id,
+        status: response.status,
+        statusText: response.statusText,
+        headers: [...response.headers],
+        hasBody,
+      });
     }
   } catch (error) {
-    console.error("[Novirun] Execution error:", error.message);
-    return {
-      status: "error",
-      error: error.message,
-      executionTimeMs: 0,
-    };
+    entry.egressFetches.delete(id);
+    if (!entry.destroyed && !controller.signal.aborted) {
+      entry.worker.postMessage({ type: "egress-fetch-error", id, error: `Fetch of ${url} failed: ${error.message}` });
+    }
   }
 }
 
+async function pullEgressFetch(entry, { id }) {
+  const fetchState = entry.egressFetches.get(id);
+  if (!fetchState?.reader) return;
+  let message;
+  try {
+    const { done, value } = await fetchState.reader.read();
+    message = done ? { type: "egress-fetch-chunk", id, done: true } : { type: "egress-fetch-chunk", id, chunk: value };
+    if (done) entry.egressFetches.delete(id);
+  } catch (error) {
+    entry.egressFetches.delete(id);
+    message = { type: "egress-fetch-chunk", id, error: error.message };
+  }
+  if (!entry.destroyed && !fetchState.controller.signal.aborted) {
+    entry.worker.postMessage(message);
+  }
+}
+
+function cancelEgressFetch(entry, id) {
+  const fetchState = entry.egressFetches.get(id);
+  if (!fetchState) return;
+  entry.egressFetches.delete(id);
+  fetchState.controller.abort();
+}
+
+function destroyWorker(entry) {
+  if (entry.destroyed) return;
+  entry.destroyed = true;
+  clearTimeout(entry.idleTimer);
+  entry.worker.terminate();
+  currentInstanceCount--;
+  if (entry.egressToken) {
+    revokeEgress(entry.egressToken);
+    for (const id of [...entry.egressFetches.keys()]) {
+      cancelEgressFetch(entry, id);
+    }
+    entry.egressClient.close();
+  }
+
+  const { pool } = entry;
+  const index = pool.idle.indexOf(entry);
+  if (index !== -1) {
+    pool.idle.splice(index, 1);
+  }
+  dropPoolIfEmpty(pool);
+}
+
+// Forget pools that have nothing left in them
+function dropPoolIfEmpty(pool) {
+  if (pool.idle.length === 0 && pool.busy === 0 && pool.warming === 0 && pools.get(pool.functionId) === pool) {
+    pools.delete(pool.functionId);
+  }
+}
+
+/**
+ * Runs one invocation on a checked-out worker. Resolves as soon as the
+ * function has produced its status and headers; the body is a ReadableStream
+ * that pulls chunks from the worker on demand, so binary payloads and
+ * server-sent events pass through unbuffered. `completion` settles with
+ * { status, output, error, stack, limit, logs } once the body has been fully sent
+ * or the run failed; `output` summarizes the response and `logs` holds the
+ * console entries. Secret env values are redacted from captured logs and errors.
+ * `limits` are the resolved { timeout, memory } for this run. Afterwards the
+ * worker goes back to the pool if it finished cleanly.
+ */
+function invokeWorker(entry, message, transfer, limits) {
+  const secrets = Object.values(message.env || {});
+
+  let timeoutId;
+  let response = null;
+  let bodyBytes = 0;
+  const logs = [];
+  let logBytes = 0;
+  let finished = false;
+  let settleCompletion;
+  const completion = new Promise((resolve) => {
+    settleCompletion = resolve;
+  });
+
+  const finish = (status, error = null, stack = null, limit = null) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeoutId);
+    entry.onMessage = null;
+    entry.onError = null;
+    returnWorker(entry, status === "success" && !error);
+    const output = response
+      ? JSON.stringify({ status: response.status, bytes: bodyBytes })
+      : null;
+    settleCompletion({ status, output, error, stack, limit, logs });
+  };
+
+  return new Promise((resolve) => {
+    let bodyController = null;
+    let pendingPull = null;
+
+    const onFailure = (rawError, rawStack = null, limit = null) => {
+      const error = redactSecrets(rawError, secrets);
+      const stack = redactSecrets(rawStack, secrets);
+      const status = limit ? LIMIT_STATUSES[limit.name] : "error";
+      if (bodyController) {
+        bodyController.error(new Error(error));
+      }
+      finish(status, error, stack, limit);
+      resolve({ status, response: null, error, limit, completion });
+    };
+
+    // Hard limit; settling here also frees the instance and quota slot
+    const { timeout, memory } = limits;
+    timeoutId = setTimeout(() => {
+      onFailure(`Execution timed out after ${timeout.value}ms (${timeout.source} limit)`, null, timeout);
+    }, timeout.value);
+
+    entry.onMessage = (data) => {
+      switch (data.type) {
+        case "log":
+          if (logBytes < MAX_LOG_BYTES) {
+            logBytes += data.message.length;
+            logs.push({ level: data.level, message: redactSecrets(data.message, secrets), timestamp: data.timestamp });
+            if (logBytes >= MAX_LOG_BYTES) {
+              logs.push({ level: "warn", message: "... (log output truncated)", timestamp: data.timestamp });
+            }
+          }
+          break;
+        case "response": {
+          const body = data.hasBody
+            ? new ReadableStream({
+              start(controller) {
+                bodyController = controller;
+              },
+              pull() {
+                return new Promise((resolvePull) => {
+                  pendingPull = resolvePull;
+                  entry.worker.postMessage({ type: "pull" });
+                });
+              },
+              cancel() {
+                // Caller went away mid-stream; the worker is mid-body, so don't reuse it
+                finish("success", "Client disconnected");
+              },
+            })
+            : null;
+
+          response = {
+            status: data.status,
+            statusText: data.statusText,
+            headers: data.headers,
+            body,
+          };
+          resolve({ status: "success", response, error: null, limit: null, timing: data.timing, completion });
+          break;
+        }
+        case "chunk":
+          bodyBytes += data.chunk.byteLength;
+          bodyController.enqueue(data.chunk);
+          pendingPull?.();
+          pendingPull = null;
+          break;
+        case "done":
+          bodyController?.close();
+          pendingPull?.();
+          pendingPull = null;
+          finish("success");
+          break;
+        case "error":
+          onFailure(data.error, data.stack);
+          break;
+        case "oom":
+          onFailure(`Memory limit exceeded: ${Math.round(data.heapUsed / 1048576)}MB used of ${memory.value}MB (${memory.source} limit)`, null, memory);
+          break;
+      }
+    };
+    entry.onError = (error) => onFailure(error);
+
+    // Send the invocation to the worker (it loads the code first if it is cold)
+    entry.worker.postMessage({ type: "invoke", ...message }, transfer);
+  });
+}
+
 export function getInstanceCount() {
   return currentInstanceCount;
 }
 
 export function getMaxInstances() {
-  return MAX_INSTANCES_PER_MACHINE;
+  return config.maxInstancesPerMachine;
+}
+
+export function getPoolStats() {
+  let warm = 0;
+  let busy = 0;
+  let warming = 0;
+  for (const pool of pools.values()) {
+    warm += pool.idle.length;
+    busy += pool.busy;
+    warming += pool.warming;
+  }
+  return { ...poolStats, warm, busy, warming, functions: pools.size };
 }
@@ -0,0 +1,63 @@
+// logger.js - Structured JSON logging for the control plane
+// Every line is one JSON object: timestamp, level, message, the context of
+// the request it belongs to (requestId, userId, functionId, traceId) and any
+// fields of its own. Lines below LOG_LEVEL are skipped.
+import { AsyncLocalStorage } from "node:async_hooks";
+import { config } from "./config.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields added to every line written while handling one request or job
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `fields` as the log context; nested contexts add to the
+ * outer one.
+ */
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Adds fields to the current log context, e.g. the user once the request is
+ * authenticated. Does nothing outside of a context.
+ */
+export function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+export function getLogContext() {
+  return logContext.getStore() ?? {};
+}
+
+// Errors don't survive JSON.stringify on their own
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < LEVELS[config.logLevel]) return;
+
+  const entry = { timestamp: new Date().toISOString(), level, message, ...getLogContext() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+export const log = {
+  debug: (message, fields = {}) => write("debug", message, fields),
+  info: (message, fields = {}) => write("info", message, fields),
+  warn: (message, fields = {}) => write("warn", message, fields),
+  error: (message, fields = {}) => write("error", message, fields),
+};
@@ -11,12 +11,84 @@ import {
   getFunctionByName,
   listFunctions,
   updateFunctionCode,
+  listFunctionVersions,
+  getFunctionVersion,
+  rollbackFunction,
+  listFunctionEnv,
+  setFunctionEnv,
+  deleteFunctionEnv,
+  updateFunctionLimits,
+  updateFunctionPermissions,
+  updateFunctionAuthMode,
+  updateFunctionRateLimit,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  createInvocation,
+  getInvocation,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  deleteDeadLetter,
+  deleteExpiredInvocations,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  deleteOldWebhookDeliveries,
   updateFunctionStatus,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listFunctionRoutes,
+  addFunctionRoute,
+  deleteFunctionRoute,
+  getRouteCandidates,
+  setUsername,
   deleteFunction,
+  listExecutions,
+  getExecution,
   initializeQuota,
+  getQuota,
+  resetExpiredQuotas,
+  getPlan,
+  setUserPlan,
+  setFunctionPrivateNetwork,
+  getDatabasePoolStats,
+  takeRateLimitToken,
+  deleteFullRateLimitBuckets,
 } from "./database.js";
-import { requireAuth } from "./auth.js";
-import { executeFunction, getInstanceCount, getMaxInstances } from "./executor.js";
+import {
+  requireAuth,
+  requireAdmin,
+  authorizeInvocation,
+  generateApiKey,
+  AUTH_MODES,
+  API_KEY_SCOPES,
+} from "./auth.js";
+import { encryptSecret, isSecretStorageConfigured } from "./secrets.js";
+import { executeFunction, smokeTestFunction, getInstanceCount, getMaxInstances, getPoolStats } from "./executor.js";
+import { validateBundle, buildBundle, readBundleArchive } from "./bundle.js";
+import { checkSource } from "./checker.js";
+import { checkRateLimits, sweepRateLimitBuckets, setRateLimitStore } from "./ratelimit.js";
+import { parseCron, nextCronTime, isValidTimezone } from "./cron.js";
+import { runDueSchedules } from "./scheduler.js";
+import { runQueuedInvocations } from "./queue.js";
+import { checkAllowListTargets } from "./egress.js";
+import { gauge, renderMetrics, httpRequests, httpRequestDuration, METRICS_CONTENT_TYPE } from "./metrics.js";
+import { withSpan, parseTraceparent, currentTraceparent, exportSpans, isTracingEnabled } from "./tracing.js";
+import { log, runWithLogContext, addLogContext } from "./logger.js";
+import {
+  WEBHOOK_EVENTS,
+  emitEvent,
+  generateWebhookSecret,
+  webhookSecretContext,
+  runWebhookDeliveries,
+  checkWebhookTarget,
+} from "./webhooks.js";
+import { config } from "./config.js";
 import {
   validateFunctionName,
   validateCode,
@@ -24,22 +96,89 @@ import {
   formatError,
   formatSuccess,
   validateUUID,
-  sanitizeOutput,
+  validateEnvName,
+  validateEnvValue,
+  validatePermissions,
+  validateRateLimit,
+  validateInputData,
+  encodeBody,
+  validateUsername,
+  detectFunctionFormat,
 } from "./utils.js";
+import { parseRoutePattern, matchRoutePattern } from "./routes.js";
 
 const PORT = parseInt(Deno.env.get("PORT") || "3001");
-const app = new Application();
+const QUOTA_RESET_INTERVAL_MS = 60 * 60 * 1000; // check hourly for quotas due a monthly reset
+const RATE_LIMIT_SWEEP_INTERVAL_MS = 60 * 1000; // forget refilled rate-limit buckets every minute
+const SCHEDULER_INTERVAL_MS = 10 * 1000; // poll for due cron schedules
+const MAX_SCHEDULES_PER_FUNCTION = 20;
+const QUEUE_POLL_INTERVAL_MS = 1000; // claim due async invocations
+const INVOCATION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // drop expired async results hourly
+const MAX_ASYNC_BODY_BYTES = 1024 * 1024; // request bodies are stored with the queued job
+const WEBHOOK_POLL_INTERVAL_MS = 2000; // send due webhook deliveries
+const TRACE_EXPORT_INTERVAL_MS = 5000; // send finished spans to the collector
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const MAX_WEBHOOKS_PER_USER = 10;
+const SYSTEM_USERNAME = "system"; // owner of the built-in hello-world function
+// A caller's own X-Request-Id is kept if it looks like one; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// First path segments of the platform's own routes; custom routes can't use them
+const reservedRoutePrefixes = new Set();
+// Behind a load balancer, trust X-Forwarded-For for the client IP used by per-IP limits
+const app = new Application({ proxy: config.trustProxy });
 const router = new Router();
 
 // --- Middleware ---
+
+// Request IDs: every response carries X-Request-Id, and every log line and
+// execution record made while handling the request carries the same ID
+app.use(async (ctx, next) => {
+  const incoming = ctx.request.headers.get("x-request-id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  ctx.state.requestId = requestId;
+  ctx.response.headers.set("X-Request-Id", requestId);
+  await runWithLogContext({ requestId }, next);
+});
+
 app.use(corsMiddleware());
 
-// Request logging
+// Tracing: one server span per request, continuing the caller's trace if it sent one
+app.use(async (ctx, next) => {
+  const { method } = ctx.request;
+  await withSpan(method, {
+    kind: "server",
+    parent: parseTraceparent(ctx.request.headers.get("traceparent")),
+    attributes: { "http.request.method": method, "url.path": ctx.request.url.pathname },
+  }, async (span) => {
+    if (span.sampled && isTracingEnabled()) {
+      addLogContext({ traceId: span.traceId });
+    }
+    await next();
+    // Custom routes record their pattern in ctx.state; platform routes are matched by oak
+    const route = ctx.state.route ?? ctx.matched?.find((layer) => layer.methods.includes(method))?.path;
+    span.name = route ? `${method} ${route}` : method;
+    span.setAttributes({ "http.route": route, "http.response.status_code": ctx.response.status });
+    if (ctx.response.status >= 500) {
+      span.fail(`HTTP ${ctx.response.status}`);
+    }
+  });
+});
+
+// Request logging and metrics
 app.use(async (ctx, next) => {
   const start = Date.now();
   await next();
   const time = Date.now() - start;
-  console.log(`[${ctx.request.method}] ${ctx.request.url.pathname} - ${ctx.response.status} - ${time}ms`);
+  if (config.enableRequestLogging) {
+    log.info("Request completed", {
+      method: ctx.request.method,
+      path: ctx.request.url.pathname,
+      status: ctx.response.status,
+      durationMs: time,
+    });
+  }
+  httpRequests.inc({ method: ctx.request.method, status: ctx.response.status });
+  httpRequestDuration.observe({ method: ctx.request.method }, time / 1000);
 });
 
 // Global Error Handler
@@ -47,14 +186,421 @@ app.use(async (ctx, next) => {
   try {
     await next();
   } catch (error) {
-    console.error("[Novirun] Server Error:", error);
+    log.error("Unhandled server error", { error });
     ctx.response.status = 500;
     ctx.response.body = formatError(error.message || "Internal server error");
   }
 });
 
+// ============ HELPERS ============
+
+// Credentials used to authorize an invocation; the function never sees them
+const CREDENTIAL_HEADERS = new Set(["authorization", "x-api-key"]);
+
+// Connection-level headers that must not be relayed between caller and function
+const HOP_BY_HOP_HEADERS = new Set([
+  "connection",
+  "keep-alive",
+  "host",
+  "content-length",
+  "transfer-encoding",
+  "upgrade",
+]);
+
+/**
+ * Captures the caller's request so it can be replayed inside the worker.
+ * `path` is the part of the URL the function should see (e.g. "/orders/42").
+ */
+async function buildFunctionRequest(ctx, path, { params = {}, caller = null } = {}) {
+  const { request } = ctx;
+  const stripCredentials = caller !== null && caller.type !== "public";
+
+  const headers = [];
+  request.headers.forEach((value, key) => {
+    if (HOP_BY_HOP_HEADERS.has(key) || key === "x-request-id" || (stripCredentials && CREDENTIAL_HEADERS.has(key))) return;
+    headers.push([key, value]);
+  });
+  headers.push(["x-forwarded-host", request.url.host]);
+  headers.push(["x-forwarded-proto", request.url.protocol.replace(":", "")]);
+  headers.push(["x-forwarded-for", request.ip]);
+  headers.push(["x-request-id", ctx.state.requestId]);
+
+  let body = null;
+  if (request.hasBody && request.method !== "GET" && request.method !== "HEAD") {
+    body = new Uint8Array(await request.body.arrayBuffer());
+  }
+
+  return {
+    method: request.method,
+    path: (path || "/") + request.url.search,
+    headers,
+    body,
+    params,
+    caller,
+  };
+}
+
+// The request path below the first `depth` segments (/run/:id/a/b -> /a/b for depth 2)
+function subPath(ctx, depth) {
+  return "/" + ctx.request.url.pathname.split("/").slice(depth + 1).join("/");
+}
+
+// Upload types read as a bundle archive on deploy and code update
+const ARCHIVE_CONTENT_TYPES = new Set([
+  "application/zip",
+  "application/x-tar",
+  "application/gzip",
+  "application/x-gzip",
+]);
+const VALID_LANGUAGES = ['javascript', 'typescript'];
+
+/**
+ * The request's JSON body. Answers 400 and returns null when the body isn't
+ * a JSON object.
+ */
+async function readJsonBody(ctx) {
+  try {
+    const body = await ctx.request.body.json();
+    if (body !== null && typeof body === "object" && !Array.isArray(body)) {
+      return body;
+    }
+  } catch {
+    // Not JSON; answered below
+  }
+  ctx.response.status = 400;
+  ctx.response.body = formatError("Request body must be a JSON object");
+  return null;
+}
+
+/**
+ * Reads the body of a deploy or code update. JSON is returned as it is; a
+ * tar, tar.gz or zip upload becomes { files, importMap } plus the query string
+ * fields (name, language, entrypoint). Throws on unreadable bodies and on
+ * JSON that isn't an object.
+ */
+async function readSourceFields(ctx) {
+  const type = (ctx.request.headers.get("content-type") || "").split(";")[0].trim();
+  if (!ARCHIVE_CONTENT_TYPES.has(type)) {
+    const body = await ctx.request.body.json();
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+      throw new TypeError("expected a JSON object");
+    }
+    return body;
+  }
+  const archive = await readBundleArchive(new Uint8Array(await ctx.request.body.arrayBuffer()));
+  return {
+    ...Object.fromEntries(ctx.request.url.searchParams),
+    files: archive.files,
+    importMap: archive.importMap,
+  };
+}
+
+/**
+ * Turns submitted fields into the code that runs. A `code` string is used as
+ * is; `files` + `entrypoint` (+ optional `importMap`) is a bundle, built into
+ * one module with its dependencies. Either is syntax- and type-checked first
+ * (`language` is the fallback when none is given). Returns { code, language,
+ * bundle, diagnostics } with language null when not given, or { error,
+ * diagnostics } when the code is rejected.
+ */
+async function resolveSourceCode(fields, language) {
+  if (fields.files === undefined) {
+    const codeVal = validateCode(fields.code);
+    if (!codeVal.valid) {
+      return { error: codeVal.error, diagnostics: [] };
+    }
+    const lang = VALID_LANGUAGES.includes(fields.language) ? fields.language : null;
+    const diagnostics = await checkSource({ code: fields.code, language: lang || language });
+    if (diagnostics.length > 0) {
+      return { error: `Code has ${diagnostics.length} error(s)`, diagnostics };
+    }
+    return { code: fields.code, language: lang, bundle: null, diagnostics };
+  }
+
+  const bundle = { files: fields.files, entrypoint: fields.entrypoint, importMap: fields.importMap ?? null };
+  const bundleVal = validateBundle(bundle);
+  if (!bundleVal.valid) {
+    return { error: bundleVal.error, diagnostics: [] };
+  }
+  const diagnostics = await checkSource(bundle);
+  if (diagnostics.length > 0) {
+    return { error: `Bundle has ${diagnostics.length} error(s)`, diagnostics };
+  }
+  const built = await buildBundle(bundle);
+  if (!built.valid) {
+    return { error: built.error, diagnostics: [] };
+  }
+  // The built module is plain JavaScript whatever the sources were written in
+  return { code: built.code, language: 'javascript', bundle, diagnostics };
+}
+
+/**
+ * Deploy-time checks shared by /deploy and code updates. Resolves and checks
+ * the source, smoke-invokes it with ?smoke=true, and with ?dryRun=true reports
+ * the outcome without saving anything. Returns the source to save, or null
+ * when the response has already been written.
+ */
+async function prepareDeployment(ctx, fields, { language, permissions, allowPrivateNetwork = false, functionId = null }) {
+  const params = ctx.request.url.searchParams;
+  const dryRun = params.get("dryRun") === "true";
+
+  const source = await resolveSourceCode(fields, language);
+  let smoke = null;
+  if (!source.error && params.get("smoke") === "true") {
+    smoke = await smokeTestFunction(source.code, source.language || language, { permissions, allowPrivateNetwork, functionId });
+  }
+  const smokeFailed = smoke !== null && smoke.status !== "success";
+
+  if (dryRun) {
+    ctx.response.body = formatSuccess({
+      valid: !source.error && !smokeFailed,
+      error: source.error ?? (smokeFailed ? `Smoke invocation failed: ${smoke.error}` : null),
+      diagnostics: source.diagnostics,
+      smoke,
+    });
+    return null;
+  }
+  if (source.error) {
+    ctx.response.status = 400;
+    ctx.response.body = { ...formatError(source.error), diagnostics: source.diagnostics };
+    return null;
+  }
+  if (smokeFailed) {
+    ctx.response.status = 400;
+    ctx.response.body = { ...formatError(`Smoke invocation failed: ${smoke.error}`), smoke };
+    return null;
+  }
+  return source;
+}
+
+// HTTP status for each non-success execution result
+const RESULT_HTTP_STATUS = {
+  error: 502,
+  oom: 502,
+  timeout: 504,
+  throttled: 503,
+  quota_exceeded: 429,
+};
+
+/**
+ * Writes an execution result to the oak response. Successful runs stream the
+ * function's own status, headers and body through untouched (binary and SSE
+ * bodies included); failures become an error envelope with a status code
+ * that says why, plus Retry-After when waiting will help.
+ */
+function sendFunctionResult(ctx, result) {
+  const origin = ctx.request.headers.get("origin") || "*";
+  ctx.response.headers.set('Access-Control-Allow-Origin', origin);
+  ctx.response.headers.set('Access-Control-Allow-Credentials', 'true');
+
+  if (result.status === 'success' && result.response) {
+    const { status, headers, body } = result.response;
+    ctx.response.status = status;
+
+    // Function headers override platform defaults; append keeps repeats like Set-Cookie
+    const forwarded = headers.filter(([key]) => !HOP_BY_HOP_HEADERS.has(key));
+    for (const [key] of forwarded) {
+      ctx.response.headers.delete(key);
+    }
+    for (const [key, value] of forwarded) {
+      ctx.response.headers.append(key, value);
+    }
+    // ...except the request ID, which must match the logs and execution record
+    ctx.response.headers.set("X-Request-Id", ctx.state.requestId);
+
+    ctx.response.body = body;
+    return;
+  }
+
+  ctx.response.status = RESULT_HTTP_STATUS[result.status] || 500;
+  if (result.retryAfter) {
+    ctx.response.headers.set('Retry-After', String(result.retryAfter));
+  }
+  ctx.response.body = {
+    ...formatError(result.error),
+    status: result.status,
+    limit: result.limit,
+    executionTimeMs: result.executionTimeMs,
+  };
+}
+
+/**
+ * Checks that the current request may invoke `func`: it exists and is
+ * enabled, the caller is within its rate limits and passes its auth mode, and
+ * the input parameter is valid JSON. Resolves to { caller, input }, or null
+ * once an error response has been written.
+ */
+async function admitInvocation(ctx, func) {
+  if (!func || !func.enabled) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found or disabled");
+    return null;
+  }
+  addLogContext({ functionId: func.id });
+
+  // Before auth, so guessing API keys is throttled too
+  const rateLimit = await checkRateLimits(func, ctx.request.ip);
+  for (const [key, value] of Object.entries(rateLimit.headers)) {
+    ctx.response.headers.set(key, value);
+  }
+  if (!rateLimit.allowed) {
+    ctx.response.status = 429;
+    ctx.response.headers.set('Retry-After', String(rateLimit.retryAfter));
+    ctx.response.body = { ...formatError("Rate limit exceeded"), status: "rate_limited", limit: rateLimit.scope };
+    return null;
+  }
+
+  const auth = await authorizeInvocation(ctx.request, func);
+  if (auth.error) {
+    ctx.response.status = auth.status;
+    ctx.response.body = formatError(auth.error);
+    return null;
+  }
+
+  // Parse input from query parameters
+  const input = ctx.request.url.searchParams.get("input");
+  let parsedInput = null;
+  if (input) {
+    try {
+      parsedInput = JSON.parse(input);
+    } catch {
+      ctx.response.status = 400;
+      ctx.response.body = formatError("Invalid JSON in input parameter");
+      return null;
+    }
+  }
+
+  return { caller: auth.caller, input: parsedInput };
+}
+
+/**
+ * Runs a deployed function for the current request and writes the result.
+ * `path` is the part of the URL the function sees; `params` are the path
+ * parameters of the custom route that matched, if any. The caller's
+ * identity is handed to the handler.
+ */
+async function invokeFunction(ctx, func, path, params = {}) {
+  const admitted = await admitInvocation(ctx, func);
+  if (!admitted) return;
+
+  const request = await buildFunctionRequest(ctx, path, { params, caller: admitted.caller });
+  const result = await executeFunction(func.id, func.user_id, func.code, admitted.input, func.language || 'javascript', {
+    request,
+    version: func.active_version,
+    limits: { timeoutMs: func.timeout_ms, memoryMb: func.memory_mb },
+    permissions: func.permissions,
+    allowPrivateNetwork: func.allow_private_network,
+    requestId: ctx.state.requestId,
+  });
+
+  sendFunctionResult(ctx, result);
+}
+
+/**
+ * Queues the current request as an async invocation of `func` and answers
+ * 202 straight away with the invocation's id, for polling
+ * GET /invocations/:id. The function sees the request with `path`.
+ */
+async function enqueueInvocation(ctx, func, path) {
+  const admitted = await admitInvocation(ctx, func);
+  if (!admitted) return;
+
+  const { body, ...request } = await buildFunctionRequest(ctx, path, { caller: admitted.caller });
+  if (body && body.byteLength > MAX_ASYNC_BODY_BYTES) {
+    ctx.response.status = 413;
+    ctx.response.body = formatError(`Async request body exceeds maximum size (${MAX_ASYNC_BODY_BYTES} bytes)`);
+    return;
+  }
+
+  const id = crypto.randomUUID();
+  request.headers.push(["x-novirun-invocation-id", id]);
+  // The queued run carries on this request's trace
+  request.headers = request.headers.filter(([name]) => name !== "traceparent");
+  request.headers.push(["traceparent", currentTraceparent()]);
+  const invocation = await createInvocation({
+    id,
+    functionId: func.id,
+    userId: func.user_id,
+    request,
+    requestBody: body,
+    input: admitted.input,
+    maxAttempts: config.asyncMaxAttempts,
+  });
+
+  ctx.response.status = 202;
+  ctx.response.headers.set("Location", `/invocations/${invocation.id}`);
+  ctx.response.body = formatSuccess({
+    invocationId: invocation.id,
+    status: invocation.status,
+    maxAttempts: invocation.max_attempts,
+    createdAt: invocation.created_at,
+  });
+}
+
+/**
+ * Validates the body of a schedule create or update and works out its first
+ * run. Returns the fields to store, or { error }.
+ */
+function readScheduleFields({ cron, timezone = "UTC", input = null, enabled = true }) {
+  const parsed = parseCron(cron);
+  if (!parsed.valid) {
+    return { error: parsed.error };
+  }
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+  if (typeof enabled !== "boolean") {
+    return { error: "enabled must be a boolean" };
+  }
+  const inputValidation = validateInputData(input);
+  if (!inputValidation.valid) {
+    return { error: inputValidation.error };
+  }
+
+  const nextRunAt = nextCronTime(parsed.schedule, timezone);
+  if (!nextRunAt) {
+    return { error: "Cron expression never fires" };
+  }
+  return { cron: cron.trim(), timezone, input, enabled, nextRunAt };
+}
+
+/**
+ * Validates the body of a webhook create or update. Resolves to the fields
+ * to store, or { error }.
+ */
+async function readWebhookFields({ url, events, enabled = true }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: "url must be an absolute http(s) URL" };
+  }
+  if ((parsed.protocol !== "https:" && parsed.protocol !== "http:") || url.length > 2048) {
+    return { error: "url must be an absolute http(s) URL" };
+  }
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}` };
+  }
+  if (typeof enabled !== "boolean") {
+    return { error: "enabled must be a boolean" };
+  }
+  const target = await checkWebhookTarget(parsed.href);
+  if (!target.allowed) {
+    return { error: `url is not reachable from this server: ${target.reason}` };
+  }
+  return { url: parsed.href, events: [...new Set(events)], enabled };
+}
+
 // ============ ROUTES ============
 
+// Log lines about one of a user's functions carry its id
+router.use("/functions/:id", async (ctx, next) => {
+  if (validateUUID(ctx.params.id)) {
+    addLogContext({ functionId: ctx.params.id });
+  }
+  await next();
+});
+
 // Health check
 router.get("/health", (ctx) => {
   ctx.response.body = formatSuccess({
@@ -62,14 +608,41 @@ router.get("/health", (ctx) => {
     uptime: performance.now(),
     instances: getInstanceCount(),
     maxInstances: getMaxInstances(),
+    pool: getPoolStats(),
   });
 });
 
+// Gauges read when /metrics is scraped
+gauge("novirun_worker_instances", "Live workers on this machine, busy and idle.", getInstanceCount);
+gauge("novirun_worker_instances_max", "Most workers this machine may run at once.", getMaxInstances);
+gauge("novirun_worker_pool_workers", "Workers by state: busy running an invocation, idle in a warm pool, or warming.", () => {
+  const stats = getPoolStats();
+  return [[{ state: "busy" }, stats.busy], [{ state: "idle" }, stats.warm], [{ state: "warming" }, stats.warming]];
+});
+gauge("novirun_worker_pool_saturation_ratio", "Share of the machine's worker slots in use by busy workers.", () => {
+  return getPoolStats().busy / getMaxInstances();
+});
+gauge("novirun_db_pool_connections", "Database pool connections by state.", () => {
+  const { size, available } = getDatabasePoolStats();
+  return [[{ state: "in_use" }, size - available], [{ state: "available" }, available]];
+});
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require it as a bearer token
+router.get("/metrics", (ctx) => {
+  if (config.metricsToken && ctx.request.headers.get("authorization") !== `Bearer ${config.metricsToken}`) {
+    ctx.response.status = 401;
+    ctx.response.body = formatError("Unauthorized");
+    return;
+  }
+  ctx.response.headers.set("Content-Type", METRICS_CONTENT_TYPE);
+  ctx.response.body = renderMetrics();
+});
+
 // Test endpoint - executes hello-world function
 router.get("/test", async (ctx) => {
   try {
-    // Find hello-world function
-    const func = await getFunctionByName("hello-world");
+    // Find the system user's hello-world function
+    const func = await getFunctionByName(SYSTEM_USERNAME, "hello-world");
     
     if (!func) {
       ctx.response.status = 404;
@@ -77,57 +650,7 @@ router.get("/test", async (ctx) => {
       return;
     }
     
-    // Parse input from query parameters
-    const input = ctx.request.url.searchParams.get("input");
-    let parsedInput = null;
-    if (input) {
-      try {
-        parsedInput = JSON.parse(input);
-      } catch {
-        ctx.response.status = 400;
-        ctx.response.body = formatError("Invalid JSON in input parameter");
-        return;
-      }
-    }
-    
-    const result = await executeFunction(func.id, func.user_id, func.code, parsedInput, func.language || 'javascript');
-    
-    // Get origin for CORS
-    const origin = ctx.request.headers.get("origin") || "*";
-    
-    // Parse and return HTTP response
-    if (result.status === 'success' && result.output) {
-      try {
-        const httpResponse = JSON.parse(result.output);
-        if (httpResponse && typeof httpResponse.status === 'number') {
-          ctx.response.status = httpResponse.status;
-          ctx.response.headers.set('Access-Control-Allow-Origin', origin);
-          ctx.response.headers.set('Access-Control-Allow-Credentials', 'true');
-          
-          if (httpResponse.headers && typeof httpResponse.headers === 'object') {
-            Object.entries(httpResponse.headers).forEach(([key, value]) => {
-              ctx.response.headers.set(key, String(value));
-            });
-          }
-          
-          let body = httpResponse.body;
-          if (typeof body === 'string') {
-            try {
-              body = JSON.parse(body);
-            } catch {}
-          }
-          ctx.response.body = body;
-          return;
-        }
-      } catch {}
-    }
-    
-    ctx.response.headers.set('Access-Control-Allow-Origin', origin);
-    ctx.response.headers.set('Access-Control-Allow-Credentials', 'true');
-    ctx.response.body = formatSuccess({
-      ...result,
-      output: sanitizeOutput(result.output)
-    });
+    await invokeFunction(ctx, func, "/");
   } catch (error) {
     ctx.response.status = 500;
     ctx.response.body = formatError(error.message);
@@ -136,10 +659,18 @@ router.get("/test", async (ctx) => {
 
 // Deploy function
 router.post("/deploy", requireAuth, async (ctx) => {
-  const body = ctx.request.body;
-  const { name, code, language } = await body.json();
   const user = ctx.state.user;
 
+  let fields;
+  try {
+    fields = await readSourceFields(ctx);
+  } catch (error) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(`Invalid request body: ${error.message}`);
+    return;
+  }
+  const { name, permissions = {}, authMode = 'public' } = fields;
+
   const nameVal = validateFunctionName(name);
   if (!nameVal.valid) {
     ctx.response.status = 400;
@@ -147,18 +678,32 @@ router.post("/deploy", requireAuth, async (ctx) => {
     return;
   }
 
-  const codeVal = validateCode(code);
-  if (!codeVal.valid) {
+  const permVal = validatePermissions(permissions);
+  if (!permVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(permVal.error);
+    return;
+  }
+
+  const netVal = await checkAllowListTargets(permissions.net);
+  if (!netVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(netVal.error);
+    return;
+  }
+
+  if (!AUTH_MODES.includes(authMode)) {
     ctx.response.status = 400;
-    ctx.response.body = formatError(codeVal.error);
+    ctx.response.body = formatError(`authMode must be one of: ${AUTH_MODES.join(", ")}`);
     return;
   }
 
-  // Validate language
-  const validLanguages = ['javascript', 'typescript'];
-  const lang = language && validLanguages.includes(language) ? language : 'javascript';
+  const source = await prepareDeployment(ctx, fields, { language: 'javascript', permissions });
+  if (!source) {
+    return;
+  }
 
-  const func = await createFunction(user.id, name, code, lang);
+  const func = await createFunction(user.id, name, source.code, source.language || 'javascript', permissions, source.bundle, authMode);
   await initializeQuota(user.id);
 
   ctx.response.status = 201;
@@ -166,6 +711,11 @@ router.post("/deploy", requireAuth, async (ctx) => {
     id: func.id,
     name: func.name,
     language: func.language,
+    format: detectFunctionFormat(func.code),
+    entrypoint: source.bundle?.entrypoint ?? null,
+    version: func.active_version,
+    permissions: func.permissions,
+    authMode: func.auth_mode,
     createdAt: func.created_at,
   });
 });
@@ -201,134 +751,1216 @@ router.get("/functions/:id", requireAuth, async (ctx) => {
   ctx.response.body = formatSuccess(func);
 });
 
-// Update code
+// Update code (deploys a new immutable version)
 router.put("/functions/:id/code", requireAuth, async (ctx) => {
   const { id } = ctx.params;
   const user = ctx.state.user;
-  const { code, language } = await ctx.request.body.json();
 
-  const updated = await updateFunctionCode(id, user.id, code, language);
-  ctx.response.body = formatSuccess(updated);
-});
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
 
-// Toggle Status
-router.put("/functions/:id/status", requireAuth, async (ctx) => {
-  const { id } = ctx.params;
-  const { enabled } = await ctx.request.body.json();
-  const updated = await updateFunctionStatus(id, ctx.state.user.id, enabled);
-  ctx.response.body = formatSuccess(updated);
-});
+  let fields;
+  try {
+    fields = await readSourceFields(ctx);
+  } catch (error) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(`Invalid request body: ${error.message}`);
+    return;
+  }
 
-// Delete
-router.delete("/functions/:id", requireAuth, async (ctx) => {
-  await deleteFunction(ctx.params.id, ctx.state.user.id);
-  ctx.response.status = 204;
+  const func = await getFunction(id, user.id);
+  if (!func) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  const source = await prepareDeployment(ctx, fields, {
+    language: func.language || 'javascript',
+    permissions: func.permissions,
+    allowPrivateNetwork: func.allow_private_network,
+    functionId: id,
+  });
+  if (!source) {
+    return;
+  }
+
+  const updated = await updateFunctionCode(id, user.id, source.code, source.language, source.bundle);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
 });
 
-// Execute Function (Public - No Auth Required)
-router.get("/run/:id", async (ctx) => {
+// List versions
+router.get("/functions/:id/versions", requireAuth, async (ctx) => {
   const { id } = ctx.params;
 
   if (!validateUUID(id)) {
     ctx.response.status = 400;
-    ctx.response.body = formatError("Invalid function ID format");
+    ctx.response.body = formatError("Invalid UUID format");
     return;
   }
 
-  // Get function without user restriction (public execution)
-  const func = await getFunctionById(id);
-
-  if (!func || !func.enabled) {
+  const versions = await listFunctionVersions(id, ctx.state.user.id);
+  if (versions.length === 0) {
     ctx.response.status = 404;
-    ctx.response.body = formatError("Function not found or disabled");
+    ctx.response.body = formatError("Function not found");
     return;
   }
 
-  // Parse input from query parameters
-  const input = ctx.request.url.searchParams.get("input");
-  let parsedInput = null;
-  if (input) {
-    try {
-      parsedInput = JSON.parse(input);
-    } catch {
-      ctx.response.status = 400;
-      ctx.response.body = formatError("Invalid JSON in input parameter");
-      return;
-    }
-  }
-
-  const result = await executeFunction(id, func.user_id, func.code, parsedInput, func.language || 'javascript');
-  
-  // Get origin for CORS
-  const origin = ctx.request.headers.get("origin") || "*";
-  
-  // Parse the response if it's a valid HTTP response object
-  if (result.status === 'success' && result.output) {
-    try {
-      const httpResponse = JSON.parse(result.output);
-      if (httpResponse && typeof httpResponse.status === 'number') {
-        // Valid HTTP response format
-        ctx.response.status = httpResponse.status;
-        
-        // Add CORS headers
-        ctx.response.headers.set('Access-Control-Allow-Origin', origin);
-        ctx.response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        ctx.response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-        ctx.response.headers.set('Access-Control-Allow-Credentials', 'true');
-        
-        // Set custom headers from function
-        if (httpResponse.headers && typeof httpResponse.headers === 'object') {
-          Object.entries(httpResponse.headers).forEach(([key, value]) => {
-            ctx.response.headers.set(key, String(value));
-          });
-        }
-        
-        // Set body - try to parse as JSON if it's a string
-        let body = httpResponse.body;
-        if (typeof body === 'string') {
-          try {
-            body = JSON.parse(body);
-          } catch {
-            // Keep as string if not valid JSON
-          }
-        }
-        ctx.response.body = body;
-        return;
-      }
-    } catch {
-      // Not a valid HTTP response, fall through to default handling
-    }
-  }
-  
-  // Default response format with CORS
-  ctx.response.headers.set('Access-Control-Allow-Origin', origin);
-  ctx.response.headers.set('Access-Control-Allow-Credentials', 'true');
   ctx.response.body = formatSuccess({
-    ...result,
-    output: sanitizeOutput(result.output)
+    versions: versions,
+    count: versions.length,
   });
 });
 
-// Monthly Quota Reset (Admin Only)
-router.post("/admin/reset-quotas", async (ctx) => {
-  const adminKey = ctx.request.headers.get("X-Admin-Key");
-  if (adminKey !== Deno.env.get("ADMIN_KEY")) {
-    ctx.response.status = 401;
-    ctx.response.body = formatError("Unauthorized Admin Access");
+// Get a single version (including its code)
+router.get("/functions/:id/versions/:version", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const version = parseInt(ctx.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Version must be a positive integer");
+    return;
+  }
+
+  const found = await getFunctionVersion(id, ctx.state.user.id, version);
+  if (!found) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Version not found");
     return;
   }
 
-  // We handle the logic via a direct pool query since it's a rare admin task
-  // This resets anyone whose quota hasn't been cleared in 30 days
-  ctx.response.body = formatSuccess({ message: "Monthly quota reset initiated" });
+  ctx.response.body = formatSuccess(found);
 });
 
-app.use(router.routes());
-app.use(router.allowedMethods());
+// Roll the active pointer back (or forward) to an existing version
+router.post("/functions/:id/rollback", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { version } = body;
+  if (!Number.isInteger(version) || version < 1) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Version must be a positive integer");
+    return;
+  }
+
+  const updated = await rollbackFunction(id, ctx.state.user.id, version);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function or version not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+// List environment variable names (values are write-only)
+router.get("/functions/:id/env", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const variables = await listFunctionEnv(id, ctx.state.user.id);
+  if (!variables) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    variables: variables.map((variable) => ({ ...variable, value: "[REDACTED]" })),
+    count: variables.length,
+  });
+});
+
+// Create or replace an environment variable
+router.put("/functions/:id/env/:name", requireAuth, async (ctx) => {
+  const { id, name } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { value } = body;
+
+  if (!isSecretStorageConfigured()) {
+    ctx.response.status = 503;
+    ctx.response.body = formatError("Secret storage is not configured on this server");
+    return;
+  }
+
+  const nameVal = validateEnvName(name);
+  if (!nameVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(nameVal.error);
+    return;
+  }
+
+  const valueVal = validateEnvValue(value);
+  if (!valueVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(valueVal.error);
+    return;
+  }
+
+  const sealed = await encryptSecret(value, `${id}:${name}`);
+  const variable = await setFunctionEnv(id, ctx.state.user.id, name, sealed);
+  if (!variable) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({ ...variable, value: "[REDACTED]" });
+});
+
+// Delete an environment variable
+router.delete("/functions/:id/env/:name", requireAuth, async (ctx) => {
+  const { id, name } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const deleted = await deleteFunctionEnv(id, ctx.state.user.id, name);
+  if (!deleted) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Variable not found");
+    return;
+  }
+
+  ctx.response.status = 204;
+});
+
+// Set the function's own timeout and memory ceiling (null resets to the plan default)
+router.put("/functions/:id/limits", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+  const user = ctx.state.user;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { timeoutMs = null, memoryMb = null } = body;
+
+  const quota = await getQuota(user.id);
+  if (!quota) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Quota not initialized");
+    return;
+  }
+
+  const checks = [
+    ["timeoutMs", timeoutMs, Math.min(quota.max_timeout_ms, config.maxExecutionTimeMs)],
+    ["memoryMb", memoryMb, Math.min(quota.max_memory_mb, config.maxMemoryMb)],
+  ];
+  for (const [field, value, max] of checks) {
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > max)) {
+      ctx.response.status = 400;
+      ctx.response.body = formatError(`${field} must be an integer between 1 and ${max} on your plan`);
+      return;
+    }
+  }
+
+  const updated = await updateFunctionLimits(id, user.id, timeoutMs, memoryMb);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+// List custom routes
+router.get("/functions/:id/routes", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const routes = await listFunctionRoutes(id, ctx.state.user.id);
+  if (!routes) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    routes: routes,
+    count: routes.length,
+  });
+});
+
+// Map a custom route pattern (e.g. /api/orders/:orderId) to the function
+router.post("/functions/:id/routes", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { pattern } = body;
+
+  const parsed = parseRoutePattern(pattern, reservedRoutePrefixes);
+  if (!parsed.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(parsed.error);
+    return;
+  }
+
+  const result = await addFunctionRoute(id, ctx.state.user.id, parsed.pattern, parsed.segmentCount);
+  if (!result) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+  if (result.conflict) {
+    ctx.response.status = 409;
+    ctx.response.body = formatError(`Route ${parsed.pattern} conflicts with existing route ${result.conflict}`);
+    return;
+  }
+
+  ctx.response.status = 201;
+  ctx.response.body = formatSuccess(result.route);
+});
+
+// Remove a custom route
+router.delete("/functions/:id/routes/:routeId", requireAuth, async (ctx) => {
+  const { id, routeId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(routeId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const deleted = await deleteFunctionRoute(id, ctx.state.user.id, routeId);
+  if (!deleted) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Route not found");
+    return;
+  }
+
+  ctx.response.status = 204;
+});
+
+// List cron schedules
+router.get("/functions/:id/schedules", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const schedules = await listSchedules(id, ctx.state.user.id);
+  if (!schedules) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    schedules: schedules,
+    count: schedules.length,
+  });
+});
+
+// Run the function on a cron schedule, e.g. { "cron": "0 3 * * *", "timezone": "Europe/Berlin", "input": {...} }
+router.post("/functions/:id/schedules", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const fields = readScheduleFields(body);
+  if (fields.error) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(fields.error);
+    return;
+  }
+
+  const result = await createSchedule(id, ctx.state.user.id, fields, MAX_SCHEDULES_PER_FUNCTION);
+  if (!result) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+  if (result.limitReached) {
+    ctx.response.status = 409;
+    ctx.response.body = formatError(`A function can have at most ${MAX_SCHEDULES_PER_FUNCTION} schedules`);
+    return;
+  }
+
+  ctx.response.status = 201;
+  ctx.response.body = formatSuccess(result.schedule);
+});
+
+// Replace a schedule; its next run is worked out again from now
+router.put("/functions/:id/schedules/:scheduleId", requireAuth, async (ctx) => {
+  const { id, scheduleId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(scheduleId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const fields = readScheduleFields(body);
+  if (fields.error) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(fields.error);
+    return;
+  }
+
+  const updated = await updateSchedule(id, ctx.state.user.id, scheduleId, fields);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Schedule not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+// Remove a schedule
+router.delete("/functions/:id/schedules/:scheduleId", requireAuth, async (ctx) => {
+  const { id, scheduleId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(scheduleId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const deleted = await deleteSchedule(id, ctx.state.user.id, scheduleId);
+  if (!deleted) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Schedule not found");
+    return;
+  }
+
+  ctx.response.status = 204;
+});
+
+// Async invocations that ran out of attempts
+router.get("/functions/:id/dead-letters", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const letters = await listDeadLetters(id, ctx.state.user.id);
+  if (!letters) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    deadLetters: letters,
+    count: letters.length,
+  });
+});
+
+// One dead letter with the request that failed
+router.get("/functions/:id/dead-letters/:letterId", requireAuth, async (ctx) => {
+  const { id, letterId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(letterId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const letter = await getDeadLetter(id, ctx.state.user.id, letterId);
+  if (!letter) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Dead letter not found");
+    return;
+  }
+
+  const { request_body, ...rest } = letter;
+  ctx.response.body = formatSuccess({ ...rest, request: { ...letter.request, ...encodeBody(request_body) } });
+});
+
+// Queue a dead letter's request again as a new invocation
+router.post("/functions/:id/dead-letters/:letterId/replay", requireAuth, async (ctx) => {
+  const { id, letterId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(letterId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const invocation = await replayDeadLetter(id, ctx.state.user.id, letterId, config.asyncMaxAttempts);
+  if (!invocation) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Dead letter not found");
+    return;
+  }
+
+  ctx.response.status = 202;
+  ctx.response.headers.set("Location", `/invocations/${invocation.id}`);
+  ctx.response.body = formatSuccess({
+    invocationId: invocation.id,
+    status: invocation.status,
+    maxAttempts: invocation.max_attempts,
+    createdAt: invocation.created_at,
+  });
+});
+
+router.delete("/functions/:id/dead-letters/:letterId", requireAuth, async (ctx) => {
+  const { id, letterId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(letterId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const deleted = await deleteDeadLetter(id, ctx.state.user.id, letterId);
+  if (!deleted) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Dead letter not found");
+    return;
+  }
+
+  ctx.response.status = 204;
+});
+
+// Set the function's sandbox permissions, e.g. { "net": ["api.example.com:443"] }
+// for outbound access to listed hosts, or { "net": true } for any public host
+router.put("/functions/:id/permissions", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+  const user = ctx.state.user;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { permissions } = body;
+
+  const permVal = validatePermissions(permissions);
+  if (!permVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(permVal.error);
+    return;
+  }
+
+  const func = await getFunction(id, user.id);
+  if (!func) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  const netVal = await checkAllowListTargets(permissions.net, { allowPrivateNetwork: func.allow_private_network });
+  if (!netVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(netVal.error);
+    return;
+  }
+
+  const updated = await updateFunctionPermissions(id, user.id, permissions);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+// Set who may invoke the function: public, owner (Appwrite JWT) or api_key
+router.put("/functions/:id/auth", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { mode } = body;
+
+  if (!AUTH_MODES.includes(mode)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(`mode must be one of: ${AUTH_MODES.join(", ")}`);
+    return;
+  }
+
+  const updated = await updateFunctionAuthMode(id, ctx.state.user.id, mode);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+// Set token-bucket limits for the function as a whole and per client IP
+router.put("/functions/:id/rate-limit", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const rateLimit = await readJsonBody(ctx);
+  if (!rateLimit) {
+    return;
+  }
+
+  const validation = validateRateLimit(rateLimit);
+  if (!validation.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(validation.error);
+    return;
+  }
+
+  const updated = await updateFunctionRateLimit(id, ctx.state.user.id, rateLimit);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+// List API keys (hashes and key values are never returned)
+router.get("/functions/:id/keys", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const keys = await listApiKeys(id, ctx.state.user.id);
+  if (!keys) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    keys: keys,
+    count: keys.length,
+  });
+});
+
+// Create an API key; the key itself is only shown in this response
+router.post("/functions/:id/keys", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { name, scopes = ["invoke"], expiresAt = null } = body;
+
+  if (!name || typeof name !== "string" || name.length > 64) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Key name is required (max 64 characters)");
+    return;
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => API_KEY_SCOPES.includes(scope))) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(", ")}`);
+    return;
+  }
+  const expires = expiresAt === null ? null : new Date(expiresAt);
+  if (expires !== null && !(expires > new Date())) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("expiresAt must be a future date");
+    return;
+  }
+
+  const { key, keyPrefix, keyHash } = await generateApiKey();
+  const created = await createApiKey(id, ctx.state.user.id, { name, keyPrefix, keyHash, scopes, expiresAt: expires });
+  if (!created) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.status = 201;
+  ctx.response.body = formatSuccess({ ...created, key });
+});
+
+// Revoke an API key
+router.delete("/functions/:id/keys/:keyId", requireAuth, async (ctx) => {
+  const { id, keyId } = ctx.params;
+
+  if (!validateUUID(id) || !validateUUID(keyId)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const revoked = await revokeApiKey(id, ctx.state.user.id, keyId);
+  if (!revoked) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("API key not found");
+    return;
+  }
+
+  ctx.response.status = 204;
+});
+
+// Toggle Status
+router.put("/functions/:id/status", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { enabled } = body;
+  const updated = await updateFunctionStatus(id, ctx.state.user.id, enabled);
+  if (updated && !updated.enabled) {
+    emitEvent(ctx.state.user.id, "function.disabled", { functionId: updated.id, name: updated.name });
+  }
+  ctx.response.body = formatSuccess(updated);
+});
+
+// Delete
+router.delete("/functions/:id", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  await deleteFunction(id, ctx.state.user.id);
+  ctx.response.status = 204;
+});
+
+// Execution history (newest first, cursor-paginated)
+router.get("/functions/:id/executions", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+  const user = ctx.state.user;
+  const params = ctx.request.url.searchParams;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const limit = parseInt(params.get("limit") || "20");
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("limit must be between 1 and 100");
+    return;
+  }
+
+  const cursor = params.get("cursor");
+  if (cursor && !validateUUID(cursor)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid cursor");
+    return;
+  }
+
+  // Time range bounds are ISO 8601 timestamps: from is inclusive, to is exclusive
+  const range = {};
+  for (const bound of ["from", "to"]) {
+    const value = params.get(bound);
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      ctx.response.status = 400;
+      ctx.response.body = formatError(`${bound} must be an ISO 8601 timestamp`);
+      return;
+    }
+    range[bound] = date.toISOString();
+  }
+
+  const func = await getFunction(id, user.id);
+  if (!func) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  const page = await listExecutions(id, user.id, {
+    status: params.get("status"),
+    trigger: params.get("trigger"),
+    requestId: params.get("requestId"),
+    from: range.from ?? null,
+    to: range.to ?? null,
+    cursor,
+    limit,
+  });
+
+  ctx.response.body = formatSuccess({
+    executions: page.executions,
+    count: page.executions.length,
+    nextCursor: page.nextCursor,
+  });
+});
+
+// Single execution with output, logs and error details
+router.get("/executions/:id", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const execution = await getExecution(id, ctx.state.user.id);
+  if (!execution) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Execution not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(execution);
+});
+
+// Queue an async invocation (/run/:id/async/orders runs the function with path /orders)
+router.post("/run/:id/async/:path*", async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid function ID format");
+    return;
+  }
+
+  const func = await getFunctionById(id);
+  await enqueueInvocation(ctx, func, subPath(ctx, 3));
+});
+
+router.post("/u/:username/:functionName/async/:path*", async (ctx) => {
+  const { username, functionName } = ctx.params;
+  const func = await getFunctionByName(username, functionName);
+  await enqueueInvocation(ctx, func, subPath(ctx, 4));
+});
+
+// Status of an async invocation, with the function's response once it succeeded
+router.get("/invocations/:id", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const invocation = await getInvocation(id, ctx.state.user.id);
+  if (!invocation) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Invocation not found");
+    return;
+  }
+
+  const { response_status, response_headers, response_body, response_truncated, ...rest } = invocation;
+  ctx.response.body = formatSuccess({
+    ...rest,
+    result: invocation.status === "succeeded"
+      ? { status: response_status, headers: response_headers, ...encodeBody(response_body), truncated: response_truncated }
+      : null,
+  });
+});
+
+// Execute Function (Public - No Auth Required)
+// Any method and any sub-path (/run/:id/orders/42) is forwarded to the handler
+router.all("/run/:id/:path*", async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid function ID format");
+    return;
+  }
+
+  // Get function without user restriction (public execution)
+  const func = await getFunctionById(id);
+  await invokeFunction(ctx, func, subPath(ctx, 2));
+});
+
+// Execute Function by owner and name (/u/alice/orders/42 runs alice's "orders" with path /42)
+router.all("/u/:username/:functionName/:path*", async (ctx) => {
+  const { username, functionName } = ctx.params;
+  const func = await getFunctionByName(username, functionName);
+  await invokeFunction(ctx, func, subPath(ctx, 3));
+});
+
+// Webhook destinations for the user's execution and quota events
+router.get("/webhooks", requireAuth, async (ctx) => {
+  const webhooks = await listWebhooks(ctx.state.user.id);
+  ctx.response.body = formatSuccess({
+    webhooks: webhooks,
+    count: webhooks.length,
+    events: WEBHOOK_EVENTS,
+  });
+});
+
+// Register a webhook; its signing secret is only shown in this response
+router.post("/webhooks", requireAuth, async (ctx) => {
+  const user = ctx.state.user;
+  if (!isSecretStorageConfigured()) {
+    ctx.response.status = 503;
+    ctx.response.body = formatError("Secret storage is not configured on this server");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const fields = await readWebhookFields(body);
+  if (fields.error) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(fields.error);
+    return;
+  }
+
+  const existing = await listWebhooks(user.id);
+  if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+    ctx.response.status = 409;
+    ctx.response.body = formatError(`A user can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+    return;
+  }
+
+  const id = crypto.randomUUID();
+  const secret = generateWebhookSecret();
+  const webhook = await createWebhook(user.id, {
+    id,
+    url: fields.url,
+    events: fields.events,
+    secretEncrypted: await encryptSecret(secret, webhookSecretContext(id)),
+  });
+
+  ctx.response.status = 201;
+  ctx.response.body = formatSuccess({
+    ...webhook,
+    secret,
+    warning: "Store this secret now; it is used to verify the Novirun-Signature header and will not be shown again",
+  });
+});
+
+router.put("/webhooks/:id", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const fields = await readWebhookFields(body);
+  if (fields.error) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(fields.error);
+    return;
+  }
+
+  const updated = await updateWebhook(ctx.state.user.id, id, fields);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Webhook not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess(updated);
+});
+
+router.delete("/webhooks/:id", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const deleted = await deleteWebhook(ctx.state.user.id, id);
+  if (!deleted) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Webhook not found");
+    return;
+  }
+
+  ctx.response.status = 204;
+});
+
+// Delivery log: every event sent to the webhook with its latest attempt
+router.get("/webhooks/:id/deliveries", requireAuth, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const deliveries = await listWebhookDeliveries(ctx.state.user.id, id);
+  if (!deliveries) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Webhook not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    deliveries: deliveries,
+    count: deliveries.length,
+  });
+});
+
+// Claim the username used in /u/:username/:functionName URLs
+router.put("/account/username", requireAuth, async (ctx) => {
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { username } = body;
+
+  const usernameVal = validateUsername(username);
+  if (!usernameVal.valid) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError(usernameVal.error);
+    return;
+  }
+
+  const user = await setUsername(ctx.state.user.id, username);
+  if (!user) {
+    ctx.response.status = 409;
+    ctx.response.body = formatError("Username is already taken");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({ id: user.id, username: user.username });
+});
+
+// Current usage and plan limits
+router.get("/quota", requireAuth, async (ctx) => {
+  const quota = await getQuota(ctx.state.user.id);
+  if (!quota) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Quota not initialized");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({
+    plan: { id: quota.plan_id, name: quota.plan_name },
+    cpuTimeUsedMs: quota.cpu_time_used_ms,
+    cpuTimeLimitMs: quota.cpu_time_limit_ms,
+    concurrentCount: quota.concurrent_count,
+    maxConcurrent: quota.max_concurrent,
+    executionsCount: quota.executions_count,
+    maxExecutions: quota.max_executions,
+    maxTimeoutMs: Math.min(quota.max_timeout_ms, config.maxExecutionTimeMs),
+    maxMemoryMb: Math.min(quota.max_memory_mb, config.maxMemoryMb),
+    lastResetAt: quota.last_reset_at,
+  });
+});
+
+// Monthly Quota Reset (Admin Only)
+// Resets anyone whose quota hasn't been cleared in a month; the periodic
+// job below does the same, this lets an operator trigger it on demand
+router.post("/admin/reset-quotas", requireAdmin, async (ctx) => {
+  const resetCount = await resetExpiredQuotas();
+  ctx.response.body = formatSuccess({ message: "Monthly quota reset complete", resetCount });
+});
+
+// Assign a plan to a user (Admin Only)
+router.put("/admin/users/:id/plan", requireAdmin, async (ctx) => {
+  const { id } = ctx.params;
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { plan } = body;
+
+  if (!plan || !(await getPlan(plan))) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Unknown plan");
+    return;
+  }
+
+  const user = await setUserPlan(id, plan);
+  if (!user) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("User not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({ id: user.id, plan: user.plan_id });
+});
+
+// Let a function reach private, loopback and link-local networks (Admin Only)
+router.put("/admin/functions/:id/network", requireAdmin, async (ctx) => {
+  const { id } = ctx.params;
+  const body = await readJsonBody(ctx);
+  if (!body) {
+    return;
+  }
+  const { allowPrivateNetwork } = body;
+
+  if (typeof allowPrivateNetwork !== "boolean") {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("allowPrivateNetwork must be true or false");
+    return;
+  }
+
+  if (!validateUUID(id)) {
+    ctx.response.status = 400;
+    ctx.response.body = formatError("Invalid UUID format");
+    return;
+  }
+
+  const updated = await setFunctionPrivateNetwork(id, allowPrivateNetwork);
+  if (!updated) {
+    ctx.response.status = 404;
+    ctx.response.body = formatError("Function not found");
+    return;
+  }
+
+  ctx.response.body = formatSuccess({ id: updated.id, allowPrivateNetwork: updated.allow_private_network });
+});
+
+app.use(router.routes());
+app.use(router.allowedMethods());
+
+for (const route of router) {
+  reservedRoutePrefixes.add(route.path.split("/")[1]);
+}
+
+// Custom routes: paths the platform's own routes didn't claim
+app.use(async (ctx, next) => {
+  const { pathname } = ctx.request.url;
+  const segmentCount = pathname.split("/").filter(Boolean).length;
+  if (segmentCount > 0 && !reservedRoutePrefixes.has(pathname.split("/")[1])) {
+    const match = await withSpan("route match", { attributes: { "url.path": pathname } }, async (span) => {
+      for (const candidate of await getRouteCandidates(segmentCount)) {
+        const params = matchRoutePattern(candidate.pattern, pathname);
+        if (params) {
+          span.setAttributes({ "http.route": candidate.pattern, "novirun.function.id": candidate.id });
+          return { candidate, params };
+        }
+      }
+      return null;
+    });
+    if (match) {
+      ctx.state.route = match.candidate.pattern;
+      await invokeFunction(ctx, match.candidate, pathname, match.params);
+      return;
+    }
+  }
+  await next();
+});
 
 // --- Start Server ---
 const handleShutdown = async () => {
-  console.log("\n[Novirun] Closing connections...");
+  log.info("Closing connections");
+  await exportSpans();
   await closeDatabase();
   Deno.exit(0);
 };
@@ -338,9 +1970,46 @@ Deno.addSignalListener("SIGTERM", handleShutdown);
 
 try {
   await initDatabase();
-  console.log(`[Novirun] Control Plane live at http://localhost:${PORT}`);
+
+  // Idempotent, so every replica can run it
+  const resetQuotas = () => resetExpiredQuotas().catch((error) => {
+    log.error("Quota reset failed", { error: error.message });
+  });
+  await resetQuotas();
+  setInterval(resetQuotas, QUOTA_RESET_INTERVAL_MS);
+
+  if (config.rateLimitStore === "postgres") {
+    setRateLimitStore({ take: takeRateLimitToken, sweep: deleteFullRateLimitBuckets });
+  }
+  setInterval(() => sweepRateLimitBuckets().catch((error) => {
+    log.error("Rate limit sweep failed", { error: error.message });
+  }), RATE_LIMIT_SWEEP_INTERVAL_MS);
+
+  setInterval(() => runDueSchedules().catch((error) => {
+    log.error("Scheduler poll failed", { error: error.message });
+  }), SCHEDULER_INTERVAL_MS);
+
+  setInterval(() => runQueuedInvocations().catch((error) => {
+    log.error("Queue poll failed", { error: error.message });
+  }), QUEUE_POLL_INTERVAL_MS);
+  setInterval(() => deleteExpiredInvocations(config.asyncResultTtlHours).catch((error) => {
+    log.error("Invocation cleanup failed", { error: error.message });
+  }), INVOCATION_CLEANUP_INTERVAL_MS);
+
+  setInterval(() => runWebhookDeliveries().catch((error) => {
+    log.error("Webhook poll failed", { error: error.message });
+  }), WEBHOOK_POLL_INTERVAL_MS);
+  setInterval(() => deleteOldWebhookDeliveries(WEBHOOK_DELIVERY_RETENTION_DAYS).catch((error) => {
+    log.error("Webhook log cleanup failed", { error: error.message });
+  }), INVOCATION_CLEANUP_INTERVAL_MS);
+
+  if (isTracingEnabled()) {
+    setInterval(exportSpans, TRACE_EXPORT_INTERVAL_MS);
+  }
+
+  log.info("Control plane live", { url: `http://localhost:${PORT}` });
   await app.listen({ port: PORT });
 } catch (error) {
-  console.error("[Novirun] Startup Failed:", error);
+  log.error("Startup failed", { error });
   Deno.exit(1);
 }
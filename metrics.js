@@ -0,0 +1,167 @@
+// metrics.js - Prometheus metrics for GET /metrics
+// Counters and histograms are updated where things happen; gauges are read
+// from their source when the endpoint is scraped. Values are per replica,
+// and Prometheus adds them up across replicas.
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; from a trivial handler up to the longest allowed run
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+function register(metric) {
+  if (registry.some(({ name }) => name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+// Series are keyed by their label set; label values are strings in the output anyway
+function seriesKey(labels) {
+  return JSON.stringify(labels);
+}
+
+/**
+ * A count that only goes up, e.g. invocations by function and status.
+ */
+export function counter(name, help) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) ?? { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    collect() {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * A distribution of observed values (seconds for durations) in cumulative buckets.
+ */
+export function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      const index = buckets.findIndex((bound) => value <= bound);
+      if (index !== -1) entry.counts[index]++;
+      entry.sum += value;
+      entry.count++;
+    },
+    collect() {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        let cumulative = 0;
+        buckets.forEach((bound, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * A value read at scrape time. `read` returns a number, or a list of
+ * [labels, value] pairs for a gauge with labels.
+ */
+export function gauge(name, help, read) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    collect() {
+      const value = read();
+      const samples = typeof value === "number" ? [[{}, value]] : value;
+      return samples.map(([labels, sample]) => `${name}${formatLabels(labels)} ${formatValue(sample)}`);
+    },
+  });
+}
+
+// ============ PLATFORM METRICS ============
+
+export const httpRequests = counter(
+  "novirun_http_requests_total",
+  "HTTP requests handled by the control plane, by method and status code.",
+);
+export const httpRequestDuration = histogram(
+  "novirun_http_request_duration_seconds",
+  "Time to handle an HTTP request up to the response headers, by method.",
+);
+export const functionInvocations = counter(
+  "novirun_function_invocations_total",
+  "Function invocations by function, result status and trigger (http, cron or async).",
+);
+export const functionDuration = histogram(
+  "novirun_function_duration_seconds",
+  "Run time of invocations that reached a worker, by function and result status.",
+);
+export const workerStarts = counter(
+  "novirun_worker_starts_total",
+  "Invocations by function and whether they got a warm pooled worker or started a cold one.",
+);
+export const workerEvictions = counter(
+  "novirun_worker_evictions_total",
+  "Idle pooled workers stopped to free room or after sitting idle too long.",
+);
+export const quotaRejections = counter(
+  "novirun_quota_rejections_total",
+  "Invocations refused by a plan limit, by reason (concurrency, cpu_time or executions).",
+);
+export const capacityRejections = counter(
+  "novirun_capacity_rejections_total",
+  "Invocations refused because this machine had no room for another worker.",
+);
+export const rateLimitRejections = counter(
+  "novirun_rate_limit_rejections_total",
+  "Invocations refused by a rate limit, by scope (perIp, function or global).",
+);
+
+/**
+ * The exposition text for every registered metric.
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.collect());
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,110 @@
+// migrations.js - Versioned schema migrations
+// Each change to the schema is a SQL file in migrations/ named
+// NNNN_description.sql. Pending files run in order, each in its own
+// transaction, and schema_migrations records the version and SHA-256 of every
+// file applied. Add changes as the next numbered file: editing one that has
+// already run stops startup rather than leaving databases to drift apart.
+// Replicas starting together take turns under an advisory lock; the ones
+// that wait find nothing left to do.
+import { log } from "./logger.js";
+
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+// Any fixed key will do, as long as every replica uses the same one
+const MIGRATION_LOCK_KEY = 4674839240615;
+
+// Line endings are normalized so a checkout with CRLF doesn't look edited
+async function checksum(sql) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(sql.replace(/\r\n/g, "\n")));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(4, "0")}_${name}`;
+}
+
+/**
+ * The migration files in version order, as { version, name, sql, checksum }.
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for await (const entry of Deno.readDir(dir)) {
+    if (!entry.isFile || !entry.name.endsWith(".sql")) continue;
+    const match = entry.name.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Migration file ${entry.name} must be named NNNN_description.sql`);
+    }
+    const sql = await Deno.readTextFile(new URL(entry.name, dir));
+    migrations.push({ version: Number(match[1]), name: match[2], sql, checksum: await checksum(sql) });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrationLabel(migrations[i - 1])} and ${migrationLabel(migrations[i])} share a number`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Applies the pending migrations on `connection`, which must not be shared
+ * while this runs (the lock belongs to its session). Resolves to the
+ * versions applied.
+ */
+export async function runMigrations(connection) {
+  const migrations = await loadMigrations();
+
+  await connection.queryObject`SELECT pg_advisory_lock(${MIGRATION_LOCK_KEY}::bigint)`;
+  try {
+    await connection.queryObject`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `;
+    const result = await connection.queryObject`
+      SELECT version, checksum FROM schema_migrations ORDER BY version
+    `;
+    const applied = new Map(result.rows.map((row) => [row.version, row.checksum]));
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version) && applied.get(migration.version) !== migration.checksum) {
+        throw new Error(`Migration ${migrationLabel(migration)} was changed after it was applied; add a new migration instead`);
+      }
+    }
+
+    // A newer replica got here first; its changes must stay compatible with this one
+    const known = new Set(migrations.map((migration) => migration.version));
+    const unknown = [...applied.keys()].filter((version) => !known.has(version));
+    if (unknown.length > 0) {
+      log.warn("Database has migrations this release doesn't know about", { versions: unknown });
+    }
+
+    const ran = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      log.info("Applying migration", { migration: migrationLabel(migration) });
+      const transaction = connection.createTransaction(`migration_${migration.version}`);
+      await transaction.begin();
+      try {
+        await transaction.queryObject(migration.sql);
+        await transaction.queryObject`
+          INSERT INTO schema_migrations (version, name, checksum)
+          VALUES (${migration.version}, ${migration.name}, ${migration.checksum})
+        `;
+      } catch (error) {
+        // deno-postgres wraps errors inside a transaction, which it has already ended
+        throw new Error(`Migration ${migrationLabel(migration)} failed: ${error.cause?.message ?? error.message}`);
+      }
+      await transaction.commit();
+      ran.push(migration.version);
+    }
+    return ran;
+  } finally {
+    await connection.queryObject`SELECT pg_advisory_unlock(${MIGRATION_LOCK_KEY}::bigint)`;
+  }
+}
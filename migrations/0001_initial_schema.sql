@@ -0,0 +1,55 @@
+-- 0001_initial_schema.sql - The schema as it stood before versioned migrations
+-- Every statement in these files is idempotent, so databases created by the
+-- old startup code are brought up to date and adopted rather than recreated.
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  appwrite_user_id TEXT UNIQUE NOT NULL,
+  email TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Functions table
+CREATE TABLE IF NOT EXISTS functions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  code TEXT NOT NULL,
+  language TEXT DEFAULT 'javascript',
+  enabled BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, name)
+);
+
+-- Add language column if it doesn't exist (migration for existing databases)
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS language TEXT DEFAULT 'javascript';
+
+-- Executions table
+CREATE TABLE IF NOT EXISTS executions (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  output TEXT,
+  error TEXT,
+  execution_time_ms INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quotas table
+CREATE TABLE IF NOT EXISTS quotas (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  cpu_time_used_ms INTEGER DEFAULT 0,
+  concurrent_count INTEGER DEFAULT 0,
+  last_reset_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_functions_user_id ON functions(user_id);
+CREATE INDEX IF NOT EXISTS idx_executions_function_id ON executions(function_id);
+CREATE INDEX IF NOT EXISTS idx_executions_user_id ON executions(user_id);
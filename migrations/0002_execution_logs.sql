@@ -0,0 +1,3 @@
+-- 0002_execution_logs.sql - Per-execution console logs and error stacks
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS logs JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS stack TEXT;
@@ -0,0 +1,24 @@
+-- 0003_function_versions.sql - Immutable function versions
+
+CREATE TABLE IF NOT EXISTS function_versions (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  code TEXT NOT NULL,
+  language TEXT DEFAULT 'javascript',
+  author_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(function_id, version)
+);
+
+-- Active version pointer and per-execution version
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS active_version INTEGER;
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS version INTEGER;
+
+-- Functions deployed before versioning become version 1
+INSERT INTO function_versions (id, function_id, version, code, language, author_id, created_at)
+SELECT gen_random_uuid()::text, f.id, 1, f.code, COALESCE(f.language, 'javascript'), f.user_id, f.updated_at
+FROM functions f
+WHERE f.active_version IS NULL
+ON CONFLICT (function_id, version) DO NOTHING;
+UPDATE functions SET active_version = 1 WHERE active_version IS NULL;
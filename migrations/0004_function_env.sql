@@ -0,0 +1,10 @@
+-- 0004_function_env.sql - Function environment variables (values encrypted by secrets.js)
+CREATE TABLE IF NOT EXISTS function_env (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  value_encrypted TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(function_id, name)
+);
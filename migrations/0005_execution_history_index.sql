@@ -0,0 +1,2 @@
+-- 0005_execution_history_index.sql - Newest-first paging through a function's executions
+CREATE INDEX IF NOT EXISTS idx_executions_function_created ON executions(function_id, created_at DESC, id DESC);
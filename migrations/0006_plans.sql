@@ -0,0 +1,22 @@
+-- 0006_plans.sql - Plans (per-user execution limits) and monthly execution counts
+
+CREATE TABLE IF NOT EXISTS plans (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  cpu_time_limit_ms INTEGER NOT NULL,
+  max_concurrent INTEGER NOT NULL,
+  max_executions INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Default plans (2 and 20 hours of CPU time a month); existing rows are
+-- left alone so admins can tune them
+INSERT INTO plans (id, name, cpu_time_limit_ms, max_concurrent, max_executions)
+VALUES
+  ('free', 'Free', 7200000, 10, 100000),
+  ('pro', 'Pro', 72000000, 50, 1000000)
+ON CONFLICT (id) DO NOTHING;
+
+-- Plan assignment and execution counter
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_id TEXT NOT NULL DEFAULT 'free' REFERENCES plans(id);
+ALTER TABLE quotas ADD COLUMN IF NOT EXISTS executions_count INTEGER DEFAULT 0;
@@ -0,0 +1,12 @@
+-- 0007_run_limits.sql - Per-run timeout and memory ceilings for plans and functions
+
+ALTER TABLE plans ADD COLUMN IF NOT EXISTS max_timeout_ms INTEGER NOT NULL DEFAULT 15000;
+ALTER TABLE plans ADD COLUMN IF NOT EXISTS max_memory_mb INTEGER NOT NULL DEFAULT 128;
+
+-- The Pro plan gets its higher ceilings unless an admin has already set others
+UPDATE plans SET max_timeout_ms = 60000, max_memory_mb = 512
+WHERE id = 'pro' AND max_timeout_ms = 15000 AND max_memory_mb = 128;
+
+-- Per-function settings (NULL = plan default)
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS timeout_ms INTEGER;
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS memory_mb INTEGER;
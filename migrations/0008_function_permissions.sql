@@ -0,0 +1,5 @@
+-- 0008_function_permissions.sql - Sandbox permissions
+-- Functions deployed before this keep network access (every worker used to
+-- have it); new ones start with none.
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS permissions JSONB NOT NULL DEFAULT '{"net": true}';
+ALTER TABLE functions ALTER COLUMN permissions SET DEFAULT '{}';
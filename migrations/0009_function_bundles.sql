@@ -0,0 +1,3 @@
+-- 0009_function_bundles.sql - Multi-file bundles keep their sources (files,
+-- entrypoint, import map); `code` holds the built module that actually runs
+ALTER TABLE function_versions ADD COLUMN IF NOT EXISTS bundle JSONB;
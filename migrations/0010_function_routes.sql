@@ -0,0 +1,14 @@
+-- 0010_function_routes.sql - Owner-scoped URLs and custom route patterns
+
+-- Usernames for owner-scoped URLs (/u/:username/:functionName)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS username TEXT UNIQUE;
+
+-- Custom route patterns mapped to functions (one namespace for all users)
+CREATE TABLE IF NOT EXISTS function_routes (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  pattern TEXT UNIQUE NOT NULL,
+  segment_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_function_routes_segments ON function_routes(segment_count);
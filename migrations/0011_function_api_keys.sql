@@ -0,0 +1,19 @@
+-- 0011_function_api_keys.sql - Per-function auth modes and API keys
+
+-- Who may invoke a function: 'public', 'owner' or 'api_key'
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS auth_mode TEXT NOT NULL DEFAULT 'public';
+
+-- Only a SHA-256 hash of each key is stored
+CREATE TABLE IF NOT EXISTS function_api_keys (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes JSONB NOT NULL DEFAULT '["invoke"]',
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_function_api_keys_function_id ON function_api_keys(function_id);
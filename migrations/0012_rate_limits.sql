@@ -0,0 +1,11 @@
+-- 0012_rate_limits.sql - Per-function rate limits and the shared token
+-- buckets used when RATE_LIMIT_STORE=postgres
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS rate_limit JSONB NOT NULL DEFAULT '{}';
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key TEXT PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  capacity DOUBLE PRECISION NOT NULL,
+  refill_per_second DOUBLE PRECISION NOT NULL,
+  allowed BOOLEAN NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL
+);
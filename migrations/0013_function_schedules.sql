@@ -0,0 +1,18 @@
+-- 0013_function_schedules.sql - Cron schedules, and what triggered each
+-- execution ("http", "cron" or "async")
+CREATE TABLE IF NOT EXISTS function_schedules (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  cron TEXT NOT NULL,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  input JSONB,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS trigger_type TEXT NOT NULL DEFAULT 'http';
+
+CREATE INDEX IF NOT EXISTS idx_function_schedules_function_id ON function_schedules(function_id);
+CREATE INDEX IF NOT EXISTS idx_function_schedules_due ON function_schedules(next_run_at) WHERE enabled;
@@ -0,0 +1,44 @@
+-- 0014_async_invocations.sql - Async invocation queue and the dead letters
+-- of jobs that ran out of attempts
+CREATE TABLE IF NOT EXISTS invocations (
+  id TEXT PRIMARY KEY,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued',
+  request JSONB NOT NULL,
+  request_body BYTEA,
+  input JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  lease_expires_at TIMESTAMPTZ,
+  last_error TEXT,
+  execution_id TEXT,
+  response_status INTEGER,
+  response_headers JSONB,
+  response_body BYTEA,
+  response_truncated BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+CREATE TABLE IF NOT EXISTS invocation_dead_letters (
+  id TEXT PRIMARY KEY,
+  invocation_id TEXT NOT NULL,
+  function_id TEXT NOT NULL REFERENCES functions(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  request JSONB NOT NULL,
+  request_body BYTEA,
+  input JSONB,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  execution_id TEXT,
+  failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  replayed_at TIMESTAMPTZ,
+  replay_invocation_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_invocations_queued ON invocations(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_invocations_running ON invocations(lease_expires_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_invocations_function_id ON invocations(function_id);
+CREATE INDEX IF NOT EXISTS idx_invocation_dead_letters_function ON invocation_dead_letters(function_id, failed_at DESC);
@@ -0,0 +1,2 @@
+-- 0016_private_network.sql - Admin override letting a function reach private networks
+ALTER TABLE functions ADD COLUMN IF NOT EXISTS allow_private_network BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,4 @@
+-- 0017_execution_request_ids.sql - The request ID each execution was made
+-- for, as sent in X-Request-Id
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS request_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_executions_request_id ON executions(request_id) WHERE request_id IS NOT NULL;
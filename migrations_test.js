@@ -0,0 +1,112 @@
+// migrations_test.js - Tests for loading and applying schema migrations
+import assert from "node:assert/strict";
+import { loadMigrations, runMigrations } from "./migrations.js";
+
+// Stands in for a deno-postgres connection whose schema_migrations table
+// holds `applied`. Statements are recorded in `statements`.
+function fakeConnection(applied, { failingSql = null } = {}) {
+  const statements = [];
+  const query = (sql, ...values) => {
+    const text = (typeof sql === "string" ? sql : sql.join("?")).replace(/\s+/g, " ").trim();
+    statements.push(text);
+    if (failingSql && text.includes(failingSql)) {
+      const error = new Error("Transaction error");
+      error.cause = new Error(`syntax error at or near "${failingSql}"`);
+      return Promise.reject(error);
+    }
+    if (text.startsWith("SELECT version, checksum FROM schema_migrations")) {
+      return Promise.resolve({ rows: applied });
+    }
+    if (text.startsWith("INSERT INTO schema_migrations")) {
+      applied.push({ version: values[0], checksum: values[2] });
+    }
+    return Promise.resolve({ rows: [] });
+  };
+  return {
+    statements,
+    queryObject: query,
+    createTransaction: (name) => ({
+      begin: () => Promise.resolve(statements.push(`BEGIN ${name}`)),
+      commit: () => Promise.resolve(statements.push(`COMMIT ${name}`)),
+      queryObject: query,
+    }),
+  };
+}
+
+async function withMigrationsDir(files, fn) {
+  const dir = await Deno.makeTempDir();
+  try {
+    for (const [name, sql] of Object.entries(files)) {
+      await Deno.writeTextFile(`${dir}/${name}`, sql);
+    }
+    await fn(new URL(`file://${dir}/`));
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+}
+
+Deno.test("loadMigrations orders files and ignores line endings in checksums", async () => {
+  await withMigrationsDir({
+    "0002_add_index.sql": "CREATE INDEX i ON t (c);\r\n",
+    "0001_create_table.sql": "CREATE TABLE t (c INT);\n",
+    "README.md": "not a migration",
+  }, async (dir) => {
+    const migrations = await loadMigrations(dir);
+    assert.deepEqual(migrations.map(({ version, name }) => [version, name]), [[1, "create_table"], [2, "add_index"]]);
+
+    await Deno.writeTextFile(new URL("0002_add_index.sql", dir), "CREATE INDEX i ON t (c);\n");
+    assert.equal((await loadMigrations(dir))[1].checksum, migrations[1].checksum);
+  });
+});
+
+Deno.test("loadMigrations rejects badly named and duplicate files", async () => {
+  await withMigrationsDir({ "1_create.sql": "" }, async (dir) => {
+    await assert.rejects(loadMigrations(dir), /Migration file 1_create\.sql must be named NNNN_description\.sql/);
+  });
+  await withMigrationsDir({ "0001_a.sql": "", "0001_b.sql": "" }, async (dir) => {
+    await assert.rejects(loadMigrations(dir), /Migrations 0001_\w and 0001_\w share a number/);
+  });
+});
+
+Deno.test("runMigrations applies pending migrations in transactions", async () => {
+  const connection = fakeConnection([]);
+  const migrations = await loadMigrations();
+  assert.deepEqual(await runMigrations(connection), migrations.map(({ version }) => version));
+
+  const { statements } = connection;
+  assert.match(statements[0], /^SELECT pg_advisory_lock/);
+  assert.equal(statements.filter((text) => text.startsWith("BEGIN ")).length, migrations.length);
+  assert.equal(statements.filter((text) => text.startsWith("COMMIT ")).length, migrations.length);
+  assert.match(statements.at(-1), /^SELECT pg_advisory_unlock/);
+
+  // Nothing left to do the second time
+  assert.deepEqual(await runMigrations(fakeConnection(await appliedRows())), []);
+});
+
+Deno.test("runMigrations stops when an applied migration has changed", async () => {
+  const applied = await appliedRows();
+  applied[0] = { ...applied[0], checksum: "0".repeat(64) };
+  const connection = fakeConnection(applied);
+
+  await assert.rejects(
+    runMigrations(connection),
+    /Migration 0001_initial_schema was changed after it was applied; add a new migration instead/,
+  );
+  assert.ok(!connection.statements.some((text) => text.startsWith("BEGIN ")));
+  assert.match(connection.statements.at(-1), /^SELECT pg_advisory_unlock/);
+});
+
+Deno.test("runMigrations reports the failing migration and releases the lock", async () => {
+  const connection = fakeConnection([], { failingSql: "CREATE TABLE IF NOT EXISTS users" });
+  await assert.rejects(
+    runMigrations(connection),
+    /Migration 0001_initial_schema failed: syntax error at or near "CREATE TABLE IF NOT EXISTS users"/,
+  );
+  assert.ok(!connection.statements.some((text) => text.startsWith("COMMIT ")));
+  assert.match(connection.statements.at(-1), /^SELECT pg_advisory_unlock/);
+});
+
+// schema_migrations rows for every migration in the repository
+async function appliedRows() {
+  return (await loadMigrations()).map(({ version, checksum }) => ({ version, checksum }));
+}
@@ -0,0 +1,139 @@
+// queue.js - Runs asynchronous invocations from the Postgres-backed queue
+// Every replica polls the queue and claims jobs under a lease, so each job
+// runs on one control plane at a time; a job whose control plane dies mid-run
+// is claimed again once its lease runs out.
+import { config } from "./config.js";
+import {
+  claimInvocations,
+  completeInvocation,
+  retryInvocation,
+  failInvocation,
+  getFunctionById,
+} from "./database.js";
+import { executeFunction } from "./executor.js";
+import { withSpan, parseTraceparent } from "./tracing.js";
+import { log, runWithLogContext } from "./logger.js";
+
+const MAX_RESULT_BYTES = 1024 * 1024; // response body kept for GET /invocations/:id
+// A lease outlives the longest possible run, with room to record the result
+const LEASE_SECONDS = Math.ceil(config.maxExecutionTimeMs / 1000) + 60;
+
+let running = 0;
+let polling = false;
+
+/**
+ * Exponential backoff before the retry that follows `attempt` (1-based).
+ */
+export function retryDelayMs(attempt) {
+  return Math.min(config.asyncRetryMaxDelayMs, config.asyncRetryBaseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Claims as many due jobs as this control plane has free slots for and
+ * starts them. Returns the number of jobs started.
+ */
+export async function runQueuedInvocations() {
+  const free = config.asyncConcurrency - running;
+  if (polling || free <= 0) return 0;
+
+  polling = true;
+  let jobs;
+  try {
+    jobs = await claimInvocations(free, LEASE_SECONDS);
+  } finally {
+    polling = false;
+  }
+
+  for (const job of jobs) {
+    running++;
+    // The run continues the trace and keeps the request ID of the request that queued it
+    const header = (wanted) => job.request.headers.find(([name]) => name === wanted)?.[1];
+    const requestId = header("x-request-id") ?? job.id;
+    runWithLogContext({ requestId, functionId: job.function_id, invocationId: job.id }, () => withSpan("async invocation", {
+      kind: "consumer",
+      parent: parseTraceparent(header("traceparent")),
+      attributes: { "novirun.invocation.id": job.id, "novirun.function.id": job.function_id, "novirun.invocation.attempt": job.attempts },
+    }, () => runInvocation(job, requestId)))
+      .catch((error) => {
+        log.error("Invocation failed", { invocationId: job.id, error: error.message });
+      })
+      .finally(() => {
+        running--;
+      });
+  }
+  return jobs.length;
+}
+
+async function runInvocation(job, requestId) {
+  if (job.attempts > job.max_attempts) {
+    // The last attempt's control plane went away before recording a result
+    await failInvocation(job.id, { error: job.last_error ?? "Invocation was lost before it finished" });
+    return;
+  }
+
+  const func = await getFunctionById(job.function_id);
+  if (!func || !func.enabled) {
+    await failInvocation(job.id, { error: "Function not found or disabled" });
+    return;
+  }
+
+  const result = await executeFunction(func.id, func.user_id, func.code, job.input, func.language || 'javascript', {
+    // A copy, since the body's buffer is handed over to the worker
+    request: { ...job.request, body: job.request_body ? job.request_body.slice() : null },
+    version: func.active_version,
+    limits: { timeoutMs: func.timeout_ms, memoryMb: func.memory_mb },
+    permissions: func.permissions,
+    allowPrivateNetwork: func.allow_private_network,
+    trigger: "async",
+    requestId,
+  });
+  // A run that fails mid-body errors the stream; its completion says why
+  const body = await readResultBody(result.response?.body).catch((error) => ({ error }));
+  const final = await result.completion;
+
+  if (final.status === "success" && !body.error) {
+    await completeInvocation(job.id, {
+      executionId: final.executionId,
+      responseStatus: result.response.status,
+      responseHeaders: result.response.headers,
+      responseBody: body.bytes,
+      responseTruncated: body.truncated,
+    });
+    return;
+  }
+
+  const error = final.error ?? body.error?.message;
+
+  // A busy machine is not the function's fault; try again without using an attempt
+  if (final.status === "throttled") {
+    await retryInvocation(job.id, { error, delayMs: result.retryAfter * 1000, countAttempt: false });
+    return;
+  }
+
+  if (job.attempts < job.max_attempts) {
+    await retryInvocation(job.id, {
+      error,
+      executionId: final.executionId,
+      delayMs: Math.max(retryDelayMs(job.attempts), (result.retryAfter ?? 0) * 1000),
+    });
+  } else {
+    await failInvocation(job.id, { error, executionId: final.executionId });
+  }
+}
+
+// Reads the whole response so the run can finish, keeping the first MAX_RESULT_BYTES
+async function readResultBody(body) {
+  const bytes = new Uint8Array(MAX_RESULT_BYTES);
+  let size = 0;
+  let truncated = false;
+
+  if (body) {
+    for await (const chunk of body) {
+      const kept = Math.min(chunk.byteLength, MAX_RESULT_BYTES - size);
+      bytes.set(chunk.subarray(0, kept), size);
+      size += kept;
+      truncated ||= kept < chunk.byteLength;
+    }
+  }
+  return { bytes: bytes.slice(0, size), truncated };
+}
@@ -0,0 +1,114 @@
+// ratelimit.js - Token-bucket rate limits for function invocations
+// Each invocation takes a token from the calling IP's bucket for the function,
+// then the function's own bucket, then one bucket shared by the whole platform.
+// Buckets live in memory per replica unless another store is set with
+// setRateLimitStore() (main.js sets the Postgres one for RATE_LIMIT_STORE=postgres).
+import { config } from "./config.js";
+import { rateLimitRejections } from "./metrics.js";
+
+// key -> { tokens, capacity, refillPerSecond, updatedAt }
+const buckets = new Map();
+
+const GLOBAL_POLICY = {
+  capacity: config.globalRateLimitBurst,
+  refillPerSecond: config.globalRateLimitPerSecond,
+};
+
+// An owner's { requestsPerMinute, burst } as a bucket size and refill rate
+function toPolicy(limit) {
+  if (!limit) return null;
+  return { capacity: limit.burst ?? limit.requestsPerMinute, refillPerSecond: limit.requestsPerMinute / 60 };
+}
+
+function refill(bucket, now) {
+  const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+  return Math.min(bucket.capacity, bucket.tokens + elapsedSeconds * bucket.refillPerSecond);
+}
+
+function takeMemoryToken(key, capacity, refillPerSecond) {
+  const now = Date.now();
+  const bucket = buckets.get(key);
+  const tokens = bucket ? refill({ ...bucket, capacity, refillPerSecond }, now) : capacity;
+  const allowed = tokens >= 1;
+  buckets.set(key, { tokens: allowed ? tokens - 1 : tokens, capacity, refillPerSecond, updatedAt: now });
+  return { allowed, tokens: allowed ? tokens - 1 : tokens };
+}
+
+function sweepMemoryBuckets() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, bucket] of buckets) {
+    if (refill(bucket, now) >= bucket.capacity) {
+      buckets.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// { take(key, capacity, refillPerSecond) -> { allowed, tokens }, sweep() -> removed count };
+// either may return a promise
+let store = { take: takeMemoryToken, sweep: sweepMemoryBuckets };
+
+/**
+ * Keeps buckets in `next` instead of memory, e.g. a table shared by all
+ * replicas. Call it once at startup, before any tokens are taken.
+ */
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+// IETF RateLimit header fields for one bucket
+function rateLimitHeaders({ policy, tokens }) {
+  const { capacity, refillPerSecond } = policy;
+  return {
+    "RateLimit-Limit": String(capacity),
+    "RateLimit-Remaining": String(Math.floor(tokens)),
+    "RateLimit-Reset": String(Math.ceil((capacity - tokens) / refillPerSecond)),
+    "RateLimit-Policy": `${capacity};w=${Math.ceil(capacity / refillPerSecond)}`,
+  };
+}
+
+/**
+ * Takes a token for one invocation of `func` by `clientIp`. Resolves to
+ * { allowed, headers } where headers describe the tightest bucket; denied
+ * calls also get the `scope` that refused them and `retryAfter` in seconds.
+ * A bucket that refuses stops the check, so a client over its own limit
+ * doesn't drain the function's or the platform's tokens.
+ */
+export async function checkRateLimits(func, clientIp) {
+  const limits = func.rate_limit || {};
+  const checks = [
+    { scope: "perIp", key: `ip:${func.id}:${clientIp}`, policy: toPolicy(limits.perIp) },
+    { scope: "function", key: `fn:${func.id}`, policy: toPolicy(limits.function) },
+    { scope: "global", key: "global", policy: GLOBAL_POLICY },
+  ].filter(({ policy }) => policy);
+
+  let tightest = null;
+  for (const check of checks) {
+    const { allowed, tokens } = await store.take(check.key, check.policy.capacity, check.policy.refillPerSecond);
+    const state = { policy: check.policy, tokens };
+    if (!allowed) {
+      rateLimitRejections.inc({ scope: check.scope });
+      return {
+        allowed: false,
+        scope: check.scope,
+        retryAfter: Math.ceil((1 - tokens) / check.policy.refillPerSecond),
+        headers: rateLimitHeaders(state),
+      };
+    }
+    if (!tightest || tokens < tightest.tokens) {
+      tightest = state;
+    }
+  }
+
+  return { allowed: true, headers: rateLimitHeaders(tightest) };
+}
+
+/**
+ * Forgets buckets that have refilled completely. A missing bucket starts
+ * full, so this only bounds memory (or the store's size).
+ */
+export async function sweepRateLimitBuckets() {
+  return await store.sweep();
+}
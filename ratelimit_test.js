@@ -0,0 +1,97 @@
+// ratelimit_test.js - Tests for the in-memory token buckets
+import assert from "node:assert/strict";
+import { checkRateLimits, sweepRateLimitBuckets } from "./ratelimit.js";
+
+// Runs `fn` with Date.now() under its control; `clock.advance(ms)` moves it on
+function withClock(fn) {
+  return async () => {
+    const now = Date.now;
+    let time = now();
+    Date.now = () => time;
+    try {
+      await fn({ advance: (ms) => time += ms });
+    } finally {
+      Date.now = now;
+    }
+  };
+}
+
+function limitedFunction(id, rateLimit) {
+  return { id, rate_limit: rateLimit };
+}
+
+Deno.test("a bucket allows its burst, then refuses until it refills", withClock(async (clock) => {
+  const func = limitedFunction("burst", { perIp: { requestsPerMinute: 60, burst: 2 } });
+
+  assert.equal((await checkRateLimits(func, "1.1.1.1")).allowed, true);
+  assert.equal((await checkRateLimits(func, "1.1.1.1")).allowed, true);
+  const refused = await checkRateLimits(func, "1.1.1.1");
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.scope, "perIp");
+  assert.equal(refused.retryAfter, 1);
+  assert.equal(refused.headers["RateLimit-Limit"], "2");
+  assert.equal(refused.headers["RateLimit-Remaining"], "0");
+
+  // Other clients have buckets of their own
+  assert.equal((await checkRateLimits(func, "2.2.2.2")).allowed, true);
+
+  // One token a second comes back
+  clock.advance(1000);
+  assert.equal((await checkRateLimits(func, "1.1.1.1")).allowed, true);
+  assert.equal((await checkRateLimits(func, "1.1.1.1")).allowed, false);
+}));
+
+Deno.test("burst defaults to the per-minute rate", withClock(async () => {
+  const func = limitedFunction("default-burst", { function: { requestsPerMinute: 3 } });
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await checkRateLimits(func, "1.1.1.1")).allowed, true);
+  }
+  const refused = await checkRateLimits(func, "1.1.1.1");
+  assert.equal(refused.scope, "function");
+  assert.equal(refused.retryAfter, 20);
+}));
+
+Deno.test("a refused client doesn't use up the function's tokens", withClock(async () => {
+  const func = limitedFunction("shared", {
+    perIp: { requestsPerMinute: 60, burst: 1 },
+    function: { requestsPerMinute: 60, burst: 3 },
+  });
+
+  assert.equal((await checkRateLimits(func, "1.1.1.1")).allowed, true);
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await checkRateLimits(func, "1.1.1.1")).scope, "perIp");
+  }
+  assert.equal((await checkRateLimits(func, "2.2.2.2")).allowed, true);
+  assert.equal((await checkRateLimits(func, "3.3.3.3")).allowed, true);
+  assert.equal((await checkRateLimits(func, "4.4.4.4")).scope, "function");
+}));
+
+Deno.test("headers describe the tightest bucket", withClock(async () => {
+  const func = limitedFunction("headers", {
+    perIp: { requestsPerMinute: 600, burst: 100 },
+    function: { requestsPerMinute: 60, burst: 5 },
+  });
+  const { allowed, headers } = await checkRateLimits(func, "1.1.1.1");
+  assert.equal(allowed, true);
+  assert.deepEqual(headers, {
+    "RateLimit-Limit": "5",
+    "RateLimit-Remaining": "4",
+    "RateLimit-Reset": "1",
+    "RateLimit-Policy": "5;w=5",
+  });
+}));
+
+Deno.test("sweepRateLimitBuckets forgets buckets that have refilled", withClock(async (clock) => {
+  const func = limitedFunction("sweep", { perIp: { requestsPerMinute: 60, burst: 10 } });
+  await checkRateLimits(func, "1.1.1.1");
+  await sweepRateLimitBuckets();
+  // Still partly used, so kept
+  assert.equal((await checkRateLimits(func, "1.1.1.1")).headers["RateLimit-Remaining"], "8");
+
+  clock.advance(60 * 60 * 1000);
+  assert.ok(await sweepRateLimitBuckets() >= 1);
+
+  // A forgotten bucket starts full again
+  const { headers } = await checkRateLimits(func, "1.1.1.1");
+  assert.equal(headers["RateLimit-Remaining"], "9");
+}));
@@ -0,0 +1,89 @@
+// routes.js - Custom route patterns that users map to their functions
+// A pattern is a path of literal segments and `:name` parameters, e.g.
+// "/api/orders/:orderId". Patterns share one namespace across all users.
+
+const MAX_PATTERN_LENGTH = 256;
+const MAX_PATTERN_SEGMENTS = 16;
+const LITERAL_SEGMENT = /^[A-Za-z0-9._~-]+$/;
+const PARAM_SEGMENT = /^:([A-Za-z_][A-Za-z0-9_]*)$/;
+
+function splitPath(path) {
+  return path.split("/").filter((segment) => segment !== "");
+}
+
+/**
+ * Validates a pattern and returns it in canonical form (no trailing or
+ * doubled slashes) with its segment count. `reservedPrefixes` are first
+ * segments owned by the platform's own routes.
+ */
+export function parseRoutePattern(pattern, reservedPrefixes = new Set()) {
+  if (!pattern || typeof pattern !== "string" || !pattern.startsWith("/")) {
+    return { valid: false, error: "Route pattern must be a path starting with /" };
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { valid: false, error: `Route pattern exceeds maximum length (${MAX_PATTERN_LENGTH})` };
+  }
+
+  const segments = splitPath(pattern);
+  if (segments.length === 0 || segments.length > MAX_PATTERN_SEGMENTS) {
+    return { valid: false, error: `Route pattern must have between 1 and ${MAX_PATTERN_SEGMENTS} segments` };
+  }
+  if (!LITERAL_SEGMENT.test(segments[0])) {
+    return { valid: false, error: "Route pattern must start with a literal segment" };
+  }
+  if (reservedPrefixes.has(segments[0])) {
+    return { valid: false, error: `Route prefix /${segments[0]} is reserved by the platform` };
+  }
+
+  const names = new Set();
+  for (const segment of segments) {
+    const param = segment.match(PARAM_SEGMENT);
+    if (param) {
+      if (names.has(param[1])) {
+        return { valid: false, error: `Duplicate route parameter :${param[1]}` };
+      }
+      names.add(param[1]);
+    } else if (!LITERAL_SEGMENT.test(segment)) {
+      return { valid: false, error: `Invalid route segment: ${segment}` };
+    }
+  }
+
+  return { valid: true, pattern: `/${segments.join("/")}`, segmentCount: segments.length };
+}
+
+/**
+ * Two patterns conflict when some path matches both, i.e. they have the same
+ * length and every position is a parameter in one of them or the same literal.
+ */
+export function routePatternsConflict(a, b) {
+  const left = splitPath(a);
+  const right = splitPath(b);
+  if (left.length !== right.length) return false;
+  return left.every((segment, i) =>
+    segment.startsWith(":") || right[i].startsWith(":") || segment === right[i]
+  );
+}
+
+/**
+ * Matches a request path against a pattern. Returns the decoded parameters,
+ * or null when the path doesn't match.
+ */
+export function matchRoutePattern(pattern, path) {
+  const expected = splitPath(pattern);
+  const actual = splitPath(path);
+  if (expected.length !== actual.length) return null;
+
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    if (expected[i].startsWith(":")) {
+      try {
+        params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+      } catch {
+        return null;
+      }
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+}
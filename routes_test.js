@@ -0,0 +1,40 @@
+// routes_test.js - Tests for custom route patterns
+import assert from "node:assert/strict";
+import { parseRoutePattern, routePatternsConflict, matchRoutePattern } from "./routes.js";
+
+Deno.test("parseRoutePattern returns the canonical pattern", () => {
+  assert.deepEqual(parseRoutePattern("//api/orders/:orderId/"), {
+    valid: true,
+    pattern: "/api/orders/:orderId",
+    segmentCount: 3,
+  });
+});
+
+Deno.test("parseRoutePattern rejects invalid patterns", () => {
+  const reserved = new Set(["functions", "run"]);
+  assert.match(parseRoutePattern("api/orders").error, /must be a path starting with \//);
+  assert.match(parseRoutePattern("/").error, /between 1 and 16 segments/);
+  assert.match(parseRoutePattern("/:id").error, /must start with a literal segment/);
+  assert.match(parseRoutePattern("/run/x", reserved).error, /\/run is reserved/);
+  assert.match(parseRoutePattern("/a/:id/:id").error, /Duplicate route parameter :id/);
+  assert.match(parseRoutePattern("/a/b c").error, /Invalid route segment: b c/);
+  assert.match(parseRoutePattern(`/${"a/".repeat(17)}`).error, /between 1 and 16 segments/);
+});
+
+Deno.test("routePatternsConflict when some path matches both", () => {
+  assert.ok(routePatternsConflict("/api/:id", "/api/orders"));
+  assert.ok(routePatternsConflict("/api/:a/x", "/:b/:c/x"));
+  assert.ok(!routePatternsConflict("/api/orders", "/api/users"));
+  assert.ok(!routePatternsConflict("/api/:id", "/api/:id/items"));
+});
+
+Deno.test("matchRoutePattern returns decoded parameters", () => {
+  assert.deepEqual(matchRoutePattern("/api/orders/:orderId", "/api/orders/a%20b"), { orderId: "a b" });
+  assert.deepEqual(matchRoutePattern("/api/orders", "/api/orders/"), {});
+});
+
+Deno.test("matchRoutePattern returns null for other paths", () => {
+  assert.equal(matchRoutePattern("/api/orders/:orderId", "/api/orders"), null);
+  assert.equal(matchRoutePattern("/api/orders/:orderId", "/api/users/1"), null);
+  assert.equal(matchRoutePattern("/api/:id", "/api/%E0%A4%A"), null);
+});
@@ -0,0 +1,62 @@
+// scheduler.js - Fires cron schedules through the executor
+// Every replica polls for due schedules; claiming them in the database hands
+// each run to exactly one replica, so nothing fires twice.
+import { claimDueSchedules, getFunctionById } from "./database.js";
+import { executeFunction } from "./executor.js";
+import { withSpan } from "./tracing.js";
+import { log, runWithLogContext } from "./logger.js";
+
+/**
+ * Claims the schedules that are due and starts their runs. Runs aren't
+ * awaited, so a slow function doesn't hold up the next poll.
+ * Returns the number of runs started.
+ */
+export async function runDueSchedules() {
+  const due = await claimDueSchedules();
+  for (const schedule of due) {
+    // Each run is a trace of its own, with a request ID of its own
+    const requestId = crypto.randomUUID();
+    runWithLogContext({ requestId, functionId: schedule.function_id, scheduleId: schedule.id }, () => withSpan("cron run", {
+      attributes: { "novirun.schedule.id": schedule.id, "novirun.function.id": schedule.function_id },
+      parent: null,
+    }, () => runSchedule(schedule, requestId))).catch((error) => {
+      log.error("Schedule failed", { scheduleId: schedule.id, error: error.message });
+    });
+  }
+  return due.length;
+}
+
+async function runSchedule(schedule, requestId) {
+  const func = await getFunctionById(schedule.function_id);
+  if (!func || !func.enabled) return;
+
+  // A scheduled run sees a plain GET / marked with where it came from
+  const result = await executeFunction(func.id, func.user_id, func.code, schedule.input, func.language || 'javascript', {
+    request: {
+      method: "GET",
+      path: "/",
+      headers: [
+        ["x-novirun-trigger", "cron"],
+        ["x-novirun-schedule-id", schedule.id],
+        ["x-request-id", requestId],
+      ],
+      body: null,
+      params: {},
+      caller: { type: "cron", scheduleId: schedule.id },
+    },
+    version: func.active_version,
+    limits: { timeoutMs: func.timeout_ms, memoryMb: func.memory_mb },
+    permissions: func.permissions,
+    allowPrivateNetwork: func.allow_private_network,
+    trigger: "cron",
+    requestId,
+  });
+
+  // Nobody reads a scheduled run's response; drain it so the run can finish
+  await result.response?.body?.pipeTo(new WritableStream());
+  const final = await result.completion;
+  if (!final.executionId) {
+    // Rejected before it started (capacity or quota), so no execution was recorded
+    log.warn("Schedule did not run", { scheduleId: schedule.id, status: final.status, error: final.error });
+  }
+}
@@ -0,0 +1,61 @@
+// secrets.js - Encryption at rest for per-function environment variables
+// Values are sealed with AES-GCM under a key derived from NOVIRUN_MASTER_KEY
+
+const MASTER_KEY = Deno.env.get("NOVIRUN_MASTER_KEY");
+const FORMAT_VERSION = "v1";
+
+let cryptoKey = null;
+
+async function getKey() {
+  if (!MASTER_KEY) {
+    throw new Error("NOVIRUN_MASTER_KEY environment variable is required for secrets");
+  }
+  if (!cryptoKey) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(MASTER_KEY));
+    cryptoKey = await crypto.subtle.importKey("raw", digest, "AES-GCM", false, ["encrypt", "decrypt"]);
+  }
+  return cryptoKey;
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+export function isSecretStorageConfigured() {
+  return Boolean(MASTER_KEY);
+}
+
+/**
+ * Encrypts a value. `context` (e.g. "<functionId>:<NAME>") is bound as
+ * additional data, so a ciphertext copied to another variable fails to decrypt.
+ */
+export async function encryptSecret(plaintext, context) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: new TextEncoder().encode(context) },
+    await getKey(),
+    new TextEncoder().encode(plaintext),
+  );
+  return `${FORMAT_VERSION}:${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+}
+
+export async function decryptSecret(sealed, context) {
+  const [version, iv, ciphertext] = sealed.split(":");
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported secret format: ${version}`);
+  }
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv), additionalData: new TextEncoder().encode(context) },
+    await getKey(),
+    fromBase64(ciphertext),
+  );
+  return new TextDecoder().decode(plaintext);
+}
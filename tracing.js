@@ -0,0 +1,240 @@
+// tracing.js - OpenTelemetry-compatible tracing for the control plane
+// Spans follow the W3C trace context, so a trace can start at the caller (via
+// the `traceparent` header), pass through routing, database calls, quota
+// checks and worker startup, and carry on inside the function's handler.
+// Finished spans are batched and exported as OTLP/HTTP JSON to a collector
+// (OTEL_TRACES_EXPORTER=otlp) or appended to a file, one export request per
+// line (OTEL_TRACES_EXPORTER=file). With the default "none" nothing is
+// recorded, but incoming trace context is still handed on to functions.
+import { AsyncLocalStorage } from "node:async_hooks";
+import { config } from "./config.js";
+import { log } from "./logger.js";
+
+const MAX_QUEUED_SPANS = 2048;
+const MAX_EXPORT_BATCH = 512;
+const EXPORT_TIMEOUT_MS = 10000;
+// OTLP SpanKind and StatusCode values
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_ERROR = 2;
+
+const recording = config.tracesExporter !== "none";
+// The span that work started from here belongs to
+const activeSpan = new AsyncLocalStorage();
+
+const queue = [];
+let dropped = 0;
+let exporting = false;
+
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Epoch milliseconds with sub-millisecond precision
+export function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Starts a span as a child of `parent` (the active span by default), which
+ * may also be a remote context from parseTraceparent(). The span is not
+ * active until passed to runInSpan(); call end() when the work is over.
+ * Without a recording exporter the span keeps its parent's ids, so
+ * formatTraceparent() hands the caller's context on unchanged. With
+ * `newTrace: false` a span without a parent isn't recorded, which keeps
+ * background polling from starting a trace on every tick.
+ */
+export function startSpan(name, { kind = "internal", attributes = {}, parent = activeSpan.getStore(), startTime = now(), newTrace = true } = {}) {
+  const sampled = parent ? parent.sampled : newTrace && Math.random() < config.tracesSampleRatio;
+  const record = recording && sampled;
+
+  const span = {
+    name,
+    kind,
+    traceId: parent?.traceId ?? randomHex(16),
+    spanId: record || !parent ? randomHex(8) : parent.spanId,
+    parentSpanId: parent?.spanId ?? null,
+    sampled,
+    startTime,
+    endTime: null,
+    attributes: { ...attributes },
+    events: [],
+    status: null,
+    setAttribute(key, value) {
+      if (value !== undefined && value !== null) span.attributes[key] = value;
+      return span;
+    },
+    setAttributes(values) {
+      for (const [key, value] of Object.entries(values)) span.setAttribute(key, value);
+      return span;
+    },
+    // Marks the span failed; `error` is an Error or a message
+    fail(error) {
+      const message = error instanceof Error ? error.message : String(error);
+      span.status = { code: STATUS_ERROR, message };
+      span.events.push({
+        name: "exception",
+        time: now(),
+        attributes: { "exception.type": error instanceof Error ? error.name : "Error", "exception.message": message },
+      });
+      return span;
+    },
+    end(endTime = now()) {
+      if (span.endTime !== null) return;
+      span.endTime = endTime;
+      if (record) enqueue(span);
+    },
+  };
+  return span;
+}
+
+/**
+ * Runs `fn` with `span` as the active span.
+ */
+export function runInSpan(span, fn) {
+  return activeSpan.run(span, fn);
+}
+
+/**
+ * Runs `fn(span)` in a new active span that ends when it settles, and is
+ * marked failed if it throws.
+ */
+export function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  return runInSpan(span, async () => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.fail(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * The remote parent in a `traceparent` header, or null if it is missing or
+ * malformed.
+ */
+export function parseTraceparent(header) {
+  const match = header?.trim().match(/^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/);
+  if (!match || match[1] === "ff" || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3], sampled: (parseInt(match[4], 16) & 1) === 1 };
+}
+
+export function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled ? "01" : "00"}`;
+}
+
+// The active span's traceparent, or null outside of any span
+export function currentTraceparent() {
+  const span = activeSpan.getStore();
+  return span ? formatTraceparent(span) : null;
+}
+
+function enqueue(span) {
+  if (queue.length >= MAX_QUEUED_SPANS) {
+    dropped++;
+    return;
+  }
+  queue.push(span);
+}
+
+function toAttributes(values) {
+  return Object.entries(values).map(([key, value]) => {
+    if (typeof value === "boolean") return { key, value: { boolValue: value } };
+    if (typeof value === "number") {
+      return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+function toUnixNano(ms) {
+  const whole = Math.floor(ms);
+  return String(BigInt(whole) * 1000000n + BigInt(Math.floor((ms - whole) * 1e6)));
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+    name: span.name,
+    kind: SPAN_KINDS[span.kind],
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toAttributes(span.attributes),
+    events: span.events.map((event) => ({
+      name: event.name,
+      timeUnixNano: toUnixNano(event.time),
+      attributes: toAttributes(event.attributes),
+    })),
+    ...(span.status ? { status: span.status } : {}),
+  };
+}
+
+// An OTLP ExportTraceServiceRequest
+function toExportRequest(spans) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes({ "service.name": config.serviceName }) },
+      scopeSpans: [{ scope: { name: "novirun" }, spans: spans.map(toOtlpSpan) }],
+    }],
+  };
+}
+
+// OTEL_EXPORTER_OTLP_HEADERS: comma-separated key=value pairs
+function exportHeaders() {
+  const headers = { "Content-Type": "application/json" };
+  for (const pair of (config.otlpHeaders || "").split(",")) {
+    const index = pair.indexOf("=");
+    if (index > 0) {
+      headers[decodeURIComponent(pair.slice(0, index).trim())] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * Sends the finished spans to the configured exporter. A batch that fails
+ * to export is dropped rather than retried, so tracing never backs up.
+ */
+export async function exportSpans() {
+  if (!recording || exporting || queue.length === 0) return 0;
+  exporting = true;
+  const batch = queue.splice(0, MAX_EXPORT_BATCH);
+  try {
+    const body = JSON.stringify(toExportRequest(batch));
+    if (config.tracesExporter === "file") {
+      await Deno.writeTextFile(config.tracesFile, body + "\n", { append: true });
+    } else {
+      const response = await fetch(config.otlpTracesEndpoint, {
+        method: "POST",
+        headers: exportHeaders(),
+        body,
+        signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+      });
+      await response.body?.cancel();
+      if (!response.ok) {
+        throw new Error(`collector answered ${response.status}`);
+      }
+    }
+    if (dropped > 0) {
+      log.warn("Dropped spans while the export queue was full", { dropped });
+      dropped = 0;
+    }
+    return batch.length;
+  } catch (error) {
+    log.error("Exporting spans failed", { spans: batch.length, error: error.message });
+    return 0;
+  } finally {
+    exporting = false;
+  }
+}
+
+export function isTracingEnabled() {
+  return recording;
+}
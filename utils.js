@@ -1,4 +1,6 @@
 // utils.js - Shared utility functions and validation
+import { validateAllowList } from "./egress.js";
+
 export function validateFunctionName(name) {
   if (!name || typeof name !== "string") {
     return { valid: false, error: "Function name is required" };
@@ -12,6 +14,22 @@ export function validateFunctionName(name) {
   return { valid: true };
 }
 
+// Usernames the platform keeps for itself
+const RESERVED_USERNAMES = new Set(["system", "admin", "root", "novirun"]);
+
+export function validateUsername(username) {
+  if (!username || typeof username !== "string") {
+    return { valid: false, error: "Username is required" };
+  }
+  if (!/^[a-z0-9](?:[a-z0-9-]{1,30})[a-z0-9]$/.test(username)) {
+    return { valid: false, error: "Username must be 3-32 lowercase letters, numbers or hyphens, not starting or ending with a hyphen" };
+  }
+  if (RESERVED_USERNAMES.has(username)) {
+    return { valid: false, error: "Username is reserved" };
+  }
+  return { valid: true };
+}
+
 export function validateCode(code) {
   if (!code || typeof code !== "string") {
     return { valid: false, error: "Code is required" };
@@ -22,6 +40,94 @@ export function validateCode(code) {
   return { valid: true };
 }
 
+export function validateEnvName(name) {
+  if (!name || typeof name !== "string") {
+    return { valid: false, error: "Variable name is required" };
+  }
+  if (name.length > 128) {
+    return { valid: false, error: "Variable name must be 1-128 characters" };
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    return { valid: false, error: "Variable name can only contain letters, digits and underscores, and cannot start with a digit" };
+  }
+  return { valid: true };
+}
+
+export function validateEnvValue(value) {
+  if (typeof value !== "string") {
+    return { valid: false, error: "Variable value must be a string" };
+  }
+  if (value.length > 32768) { // 32KB max
+    return { valid: false, error: "Variable value exceeds maximum size (32KB)" };
+  }
+  return { valid: true };
+}
+
+// Body snippets run inside a function, so any top-level import/export
+// statement means the code is a real module. Only the statement forms
+// count, so identifiers like importCount, import() and import.meta, or a
+// shell "export FOO=" inside a template literal, leave a snippet a snippet.
+const MODULE_SYNTAX = /^\s*(import\s+\w|import\s*[{*'"]|export\s+(default|const|let|var|function|class|async)\b|export\s*[{*])/m;
+
+/**
+ * Returns "module" for code written as an ES/TS module (export default
+ * { fetch } or a default handler function) and "snippet" for a handler body.
+ */
+export function detectFunctionFormat(code) {
+  return MODULE_SYNTAX.test(code) ? "module" : "snippet";
+}
+
+// Sandbox grants a function may ask for; anything not listed stays denied
+const FUNCTION_PERMISSIONS = ["net"];
+
+/**
+ * `net` is true (any public host), false, or a list of "host" / "host:port"
+ * entries the function may connect to.
+ */
+export function validatePermissions(permissions) {
+  if (permissions === null || typeof permissions !== "object" || Array.isArray(permissions)) {
+    return { valid: false, error: "Permissions must be an object" };
+  }
+  for (const [name, value] of Object.entries(permissions)) {
+    if (!FUNCTION_PERMISSIONS.includes(name)) {
+      return { valid: false, error: `Unknown permission: ${name}` };
+    }
+    if (name === "net") {
+      const netVal = validateAllowList(value);
+      if (!netVal.valid) return netVal;
+    }
+  }
+  return { valid: true };
+}
+
+// Token bucket scopes an owner can set on a function
+const RATE_LIMIT_SCOPES = ["function", "perIp"];
+const MAX_RATE_LIMIT = 1000000;
+
+/**
+ * A function's rate limit settings: { function, perIp }, each null (no limit)
+ * or { requestsPerMinute, burst } where burst defaults to requestsPerMinute.
+ */
+export function validateRateLimit(rateLimit) {
+  if (rateLimit === null || typeof rateLimit !== "object" || Array.isArray(rateLimit)) {
+    return { valid: false, error: "Rate limit must be an object" };
+  }
+  for (const [scope, limit] of Object.entries(rateLimit)) {
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      return { valid: false, error: `Unknown rate limit scope: ${scope}` };
+    }
+    if (limit === null) continue;
+    for (const field of ["requestsPerMinute", "burst"]) {
+      const value = limit?.[field];
+      if (field === "burst" && value === undefined) continue;
+      if (!Number.isInteger(value) || value < 1 || value > MAX_RATE_LIMIT) {
+        return { valid: false, error: `${scope}.${field} must be an integer between 1 and ${MAX_RATE_LIMIT}` };
+      }
+    }
+  }
+  return { valid: true };
+}
+
 export function validateInputData(data) {
   try {
     if (data) {
@@ -51,6 +157,25 @@ export function formatSuccess(data) {
   };
 }
 
+/**
+ * Stored request or response bytes in a JSON-friendly form: the text itself
+ * when it is valid UTF-8, base64 otherwise. Returns { body, bodyEncoding }.
+ */
+export function encodeBody(bytes) {
+  if (!bytes) {
+    return { body: null, bodyEncoding: null };
+  }
+  try {
+    return { body: new TextDecoder("utf-8", { fatal: true }).decode(bytes), bodyEncoding: "utf-8" };
+  } catch {
+    let binary = "";
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return { body: btoa(binary), bodyEncoding: "base64" };
+  }
+}
+
 export function maskSensitiveData(obj) {
   const masked = { ...obj };
   // Mask any field containing 'code' or 'password' or 'key' or 'secret'
@@ -65,6 +190,25 @@ export function maskSensitiveData(obj) {
   return masked;
 }
 
+// Values shorter than this are too common to redact without mangling logs
+const MIN_REDACTED_SECRET_LENGTH = 4;
+
+/**
+ * Replaces every occurrence of the given secret values in a string.
+ * Key-based masking (maskSensitiveData) cannot catch a secret a function
+ * prints itself, so captured logs and errors go through this as well.
+ */
+export function redactSecrets(text, secretValues) {
+  if (typeof text !== "string" || !text) return text;
+  let redacted = text;
+  for (const secret of secretValues) {
+    if (secret && secret.length >= MIN_REDACTED_SECRET_LENGTH) {
+      redacted = redacted.replaceAll(secret, "[REDACTED]");
+    }
+  }
+  return redacted;
+}
+
 export function validateUUID(id) {
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
   return uuidRegex.test(id);
@@ -76,12 +220,13 @@ export function corsMiddleware() {
     
     // Set CORS headers
     ctx.response.headers.set("Access-Control-Allow-Origin", origin);
-    ctx.response.headers.set("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    ctx.response.headers.set("Access-Control-Allow-Methods", "GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS");
     ctx.response.headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
     ctx.response.headers.set("Access-Control-Allow-Credentials", "true");
+    ctx.response.headers.set("Access-Control-Expose-Headers", "X-Request-Id");
     
-    // Handle preflight
-    if (ctx.request.method === "OPTIONS") {
+    // Handle preflight (plain OPTIONS requests still reach the router)
+    if (ctx.request.method === "OPTIONS" && ctx.request.headers.has("access-control-request-method")) {
       ctx.response.status = 204;
       return;
     }
@@ -0,0 +1,188 @@
+// webhooks.js - Signed webhook notifications about a user's functions and quota
+// Events are queued in Postgres as one delivery per subscribed webhook and
+// sent by a poller, so a slow or failing receiver never holds up a run.
+//
+// Each delivery is a POST of { id, event, createdAt, data } with headers
+//   Novirun-Event:     the event name
+//   Novirun-Delivery:  the delivery id, the same on every retry
+//   Novirun-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the webhook's secret.
+//
+// Receivers are chosen by users, so like function traffic they must be on a
+// public network: URLs are checked when a webhook is saved, and deliveries
+// go through the egress proxy, which checks the target again and connects
+// to the address it checked.
+import { config } from "./config.js";
+import {
+  enqueueWebhookDeliveries,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  claimQuotaNotification,
+} from "./database.js";
+import { decryptSecret } from "./secrets.js";
+import { checkEgress } from "./egress.js";
+import { startEgressProxy, grantEgress } from "./egressproxy.js";
+import { log } from "./logger.js";
+
+export const WEBHOOK_EVENTS = [
+  "execution.error",
+  "execution.timeout",
+  "function.disabled",
+  "quota.warning",
+  "quota.exceeded",
+];
+
+// Share of the monthly CPU time that triggers quota.warning
+export const QUOTA_WARNING_THRESHOLD = 0.8;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_BATCH_SIZE = 20;
+const LEASE_SECONDS = Math.ceil(DELIVERY_TIMEOUT_MS / 1000) + 30;
+const SECRET_PREFIX = "whsec_";
+
+let polling = false;
+let deliveryClient = null;
+
+export function generateWebhookSecret() {
+  return SECRET_PREFIX + Array.from(crypto.getRandomValues(new Uint8Array(24)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Sealed secrets are bound to their webhook, like function environment variables
+export function webhookSecretContext(webhookId) {
+  return `webhook:${webhookId}`;
+}
+
+/**
+ * The Novirun-Signature header for a body sent at `timestamp` (unix seconds).
+ */
+export async function signWebhookPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${timestamp}.${body}`));
+  const hex = Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `t=${timestamp},v1=${hex}`;
+}
+
+/**
+ * Whether webhooks may be sent to `url`. Resolves to { allowed: true } or
+ * { allowed: false, reason }.
+ */
+export function checkWebhookTarget(url) {
+  return checkEgress(new URL(url).hostname);
+}
+
+function getDeliveryClient() {
+  if (!deliveryClient) {
+    const proxy = startEgressProxy();
+    const token = grantEgress({ logFields: { source: "webhooks" } });
+    deliveryClient = Deno.createHttpClient({
+      proxy: { url: `http://${proxy.hostname}:${proxy.port}`, basicAuth: { username: token, password: "" } },
+    });
+  }
+  return deliveryClient;
+}
+
+/**
+ * Queues `event` for every webhook of the user that subscribes to it. Never
+ * throws: a notification problem must not fail the code path that raised it.
+ */
+export async function emitEvent(userId, event, data) {
+  try {
+    await enqueueWebhookDeliveries(userId, event, data);
+  } catch (error) {
+    log.error("Could not queue webhooks", { event, error: error.message });
+  }
+}
+
+/**
+ * Sends quota.warning or quota.exceeded ("warning" / "exceeded") unless it
+ * already went out this quota period.
+ */
+export async function emitQuotaEvent(userId, kind, data) {
+  try {
+    if (await claimQuotaNotification(userId, kind)) {
+      await emitEvent(userId, `quota.${kind}`, data);
+    }
+  } catch (error) {
+    log.error("Could not send quota webhooks", { event: `quota.${kind}`, error: error.message });
+  }
+}
+
+function retryDelayMs(attempt) {
+  return Math.min(config.webhookRetryMaxDelayMs, config.webhookRetryBaseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Claims the deliveries that are due and sends them. Returns the number sent.
+ */
+export async function runWebhookDeliveries() {
+  if (polling) return 0;
+  polling = true;
+  try {
+    const deliveries = await claimWebhookDeliveries(DELIVERY_BATCH_SIZE, LEASE_SECONDS);
+    await Promise.all(deliveries.map((delivery) => deliver(delivery).catch((error) => {
+      log.error("Webhook delivery failed", { deliveryId: delivery.id, error: error.message });
+    })));
+    return deliveries.length;
+  } finally {
+    polling = false;
+  }
+}
+
+async function deliver(delivery) {
+  const secret = await decryptSecret(delivery.secret_encrypted, webhookSecretContext(delivery.webhook_id));
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.created_at,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    // Names can come to resolve elsewhere after the webhook was saved
+    const target = await checkWebhookTarget(delivery.url);
+    if (!target.allowed) {
+      throw new Error(`Receiver is not reachable: ${target.reason}`);
+    }
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Novirun-Webhooks",
+        "Novirun-Event": delivery.event,
+        "Novirun-Delivery": delivery.id,
+        "Novirun-Signature": await signWebhookPayload(secret, timestamp, body),
+      },
+      body,
+      // A redirect could point the signed payload anywhere; receivers must answer directly
+      redirect: "manual",
+      client: getDeliveryClient(),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `Receiver answered ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.name === "TimeoutError"
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+      : fetchError.message;
+  }
+
+  if (!error) {
+    await recordWebhookAttempt(delivery.id, { status: "delivered", responseStatus });
+  } else if (delivery.attempts < config.webhookMaxAttempts) {
+    await recordWebhookAttempt(delivery.id, { status: "pending", responseStatus, error, delayMs: retryDelayMs(delivery.attempts) });
+  } else {
+    await recordWebhookAttempt(delivery.id, { status: "failed", responseStatus, error });
+  }
+}
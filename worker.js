@@ -1,85 +1,593 @@
 // worker.js - Deno Worker wrapper for executing user functions
-// This runs in an isolated V8 context with restricted permissions
+// This runs in an isolated V8 context with restricted permissions.
+// A worker loads one function once and then serves invocations one at a time,
+// so the executor can keep it warm in a pool between calls.
+//
+// Protocol with executor.js:
+//   in:  { type: "egress-proxy", hostname, port, token }  - sent first to net: true workers
+//        { type: "load", code, language, format, env, memoryLimitMb }  - pre-warm only
+//        { type: "invoke", code, language, format, input, request, env, memoryLimitMb, traceparent }
+//             (code/language/format are used only if the function is not loaded yet)
+//        { type: "pull" }  - parent is ready for the next body chunk
+//        { type: "egress-result", id, allowed, reason }  - answer to egress-check
+//        { type: "egress-fetch-response", id, status, statusText, headers, hasBody }
+//        { type: "egress-fetch-chunk", id, chunk } / { ..., done: true } / { ..., error }
+//        { type: "egress-fetch-error", id, error }
+//   out: { type: "ready" } / { type: "load-error", error, stack }
+//        { type: "response", status, statusText, headers, hasBody, timing }
+//             (timing: { loadStartedAt, loadEndedAt, handlerStartedAt } in epoch ms;
+//              the load times are null when the function was already loaded)
+//        { type: "chunk", chunk }
+//        { type: "done", executionTimeMs }
+//        { type: "error", error, stack, executionTimeMs }
+//        { type: "log", level, message, timestamp }
+//        { type: "oom", heapUsed }
+//        { type: "egress-check", id, hostname }  - may the function connect there?
+//        { type: "egress-fetch", id, url, method, headers, body }  - fetch for a net: true function
+//        { type: "egress-fetch-pull", id } / { type: "egress-fetch-cancel", id }
 
-self.onmessage = async (e) => {
-  const { code, input, functionId } = e.data;
-  const startTime = performance.now();
+let startTime = 0;
+let handler = null;
+let bodyReader = null;
+let memoryLimitBytes = 0;
+// { hostname, port, token } when all traffic goes through the egress proxy
+let egressProxy = null;
 
+// Per-invocation values handed to the handler
+let currentInput = null;
+let currentEnv = new Map();
+let currentParams = {};
+let currentCaller = null;
+// Promises handed to ctx.waitUntil() by module-format functions
+let pendingTasks = [];
+
+const MEMORY_CHECK_INTERVAL_MS = 50;
+
+// Route the function's console to the parent so every invocation's logs are
+// captured on their own, never mixed with the host's stdout
+for (const level of ["log", "info", "warn", "error", "debug"]) {
+  console[level] = (...args) => {
+    self.postMessage({
+      type: "log",
+      level,
+      message: args.map((arg) => typeof arg === "string" ? arg : Deno.inspect(arg)).join(" "),
+      timestamp: new Date().toISOString(),
+    });
+  };
+}
+
+// Read-only view of the function's own variables. The worker runs with
+// env: false, so the control plane's environment stays unreachable.
+const readOnlyEnv = () => {
+  throw new Deno.errors.PermissionDenied("Function environment is read-only");
+};
+Object.defineProperty(Deno, "env", {
+  value: Object.freeze({
+    get: (key) => currentEnv.get(key),
+    has: (key) => currentEnv.has(key),
+    toObject: () => Object.fromEntries(currentEnv),
+    set: readOnlyEnv,
+    delete: readOnlyEnv,
+  }),
+});
+
+// Nested workers would start without any of the patches in this file
+Object.defineProperty(globalThis, "Worker", {
+  value: class Worker {
+    constructor() {
+      throw new Deno.errors.NotCapable("Functions can't start workers");
+    }
+  },
+  writable: false,
+  configurable: false,
+});
+
+// Outbound connections. The executor enforces the rules from outside (see
+// egress.js): Deno's permissions hold the function to its vetted allow-list,
+// and with net: true only the egress proxy is reachable. Sockets are then
+// tunneled through the proxy from here, and fetch is made by the executor
+// through it, since Deno checks a fetch's target against the worker's own
+// permissions. Each connection is also checked up front by the executor, so
+// a blocked attempt fails early and is logged to the execution's console output.
+const nativeFetch = globalThis.fetch;
+const nativeConnect = Deno.connect;
+const nativeConnectTls = Deno.connectTls;
+const nativeCreateHttpClient = Deno.createHttpClient;
+const NativeWebSocket = globalThis.WebSocket;
+const NativeEventSource = globalThis.EventSource;
+const encoder = new TextEncoder();
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const NULL_BODY_STATUSES = new Set([101, 103, 204, 205, 304]);
+const MAX_REDIRECTS = 20;
+
+let nextEgressCheckId = 0;
+const pendingEgressChecks = new Map();
+let nextEgressFetchId = 0;
+// id -> { resolve, reject } for the next message about that fetch
+const egressFetches = new Map();
+
+function blockEgress(target, reason) {
+  console.error(`Blocked outbound connection to ${target}: ${reason}`);
+  return new Deno.errors.NotCapable(`Outbound connection to ${target} is not allowed: ${reason}`);
+}
+
+function checkEgress(hostname) {
+  const id = nextEgressCheckId++;
+  return new Promise((resolve) => {
+    pendingEgressChecks.set(id, resolve);
+    self.postMessage({ type: "egress-check", id, hostname });
+  });
+}
+
+// Runs `connect` if the executor lets the function reach `hostname`
+async function guardConnection(hostname, port, connect) {
+  const target = `${hostname}:${port}`;
+  const { allowed, reason } = await checkEgress(hostname);
+  if (!allowed) {
+    throw blockEgress(target, reason);
+  }
   try {
-    // Wrap user code in Deno.serve handler
-    const wrappedCode = `
-      const input = ${JSON.stringify(input)};
-      
-      // User's Deno.serve handler
-      const handler = async (req) => {
-        ${code}
-      };
-      
-      // Start ephemeral server
-      const server = Deno.serve({ 
-        port: 0,
-        hostname: "127.0.0.1",
-        onListen: () => {}
-      }, handler);
-      
-      // Make internal request to capture response
-      try {
-        const response = await fetch("http://127.0.0.1:" + server.addr.port);
-        const body = await response.text();
-        
-        // Collect headers
-        const headers = {};
-        response.headers.forEach((value, key) => {
-          headers[key] = value;
-        });
-        
-        // Return captured response
-        const result = {
-          status: response.status,
-          headers: headers,
-          body: body
-        };
-        
-        await server.shutdown();
-        
-        // Output to stdout for parent to capture
-        console.log(JSON.stringify(result));
-      } catch (err) {
-        await server.shutdown();
-        throw err;
+    return await connect();
+  } catch (error) {
+    if (error instanceof Deno.errors.NotCapable) {
+      console.error(`Blocked outbound connection to ${target}: not in the function's network allow-list`);
+    }
+    throw error;
+  }
+}
+
+// Asks the egress proxy for a tunnel to hostname:port
+async function openTunnel(hostname, port) {
+  const authority = hostname.includes(":") ? `[${hostname}]:${port}` : `${hostname}:${port}`;
+  const conn = await nativeConnect({ hostname: egressProxy.hostname, port: egressProxy.port });
+  try {
+    const head = `CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\nProxy-Authorization: Basic ${btoa(`${egressProxy.token}:`)}\r\n\r\n`;
+    const bytes = encoder.encode(head);
+    for (let written = 0; written < bytes.length;) {
+      written += await conn.write(bytes.subarray(written));
+    }
+
+    // Byte by byte, so nothing the target sends after the reply is swallowed
+    const reply = [];
+    const byte = new Uint8Array(1);
+    while (!(reply.length >= 4 && reply.slice(-4).join() === "13,10,13,10")) {
+      if (reply.length > 16 * 1024 || await conn.read(byte) === null) {
+        throw new Error("Egress proxy closed the connection");
       }
-    `;
-
-    // Create blob URL for dynamic import
-    const blob = new Blob([wrappedCode], { type: "application/javascript" });
-    const url = URL.createObjectURL(blob);
-
-    try {
-      // Import and execute
-      await import(url);
-      
-      // Worker will output via console.log, parent captures it
-      const executionTime = performance.now() - startTime;
-      
-      self.postMessage({
-        status: "success",
-        executionTimeMs: executionTime
-      });
-    } finally {
-      URL.revokeObjectURL(url);
+      reply.push(byte[0]);
     }
+    const statusLine = new TextDecoder().decode(new Uint8Array(reply)).split("\r\n")[0];
+    if (statusLine.split(" ")[1] !== "200") {
+      throw blockEgress(authority, statusLine.split(" ").slice(2).join(" ") || "refused by the egress proxy");
+    }
+    return conn;
+  } catch (error) {
+    conn.close();
+    throw error;
+  }
+}
+
+// One request (no redirects followed), made by the executor through the egress proxy
+async function fetchThroughExecutor(request) {
+  const body = request.body ? await request.arrayBuffer() : null;
+  request.signal.throwIfAborted();
 
+  const id = nextEgressFetchId++;
+  const state = { resolve: null, reject: null };
+  const nextMessage = () => new Promise((resolve, reject) => Object.assign(state, { resolve, reject }));
+  egressFetches.set(id, state);
+  const finish = () => {
+    egressFetches.delete(id);
+    request.signal.removeEventListener("abort", abort);
+  };
+  const abort = () => {
+    state.reject(request.signal.reason);
+    finish();
+    self.postMessage({ type: "egress-fetch-cancel", id });
+  };
+  request.signal.addEventListener("abort", abort);
+
+  const head = nextMessage();
+  self.postMessage({
+    type: "egress-fetch",
+    id,
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers],
+    body,
+  }, body ? [body] : []);
+  let response;
+  try {
+    response = await head;
   } catch (error) {
-    const executionTime = performance.now() - startTime;
-    
-    self.postMessage({
-      status: "error",
-      error: error.message,
-      stack: error.stack,
-      executionTimeMs: executionTime
+    finish();
+    throw error;
+  }
+
+  let stream = null;
+  if (response.hasBody) {
+    stream = new ReadableStream({
+      async pull(controller) {
+        const message = nextMessage();
+        self.postMessage({ type: "egress-fetch-pull", id });
+        const { chunk, done, error } = await message;
+        if (error) {
+          finish();
+          controller.error(new TypeError(error));
+        } else if (done) {
+          finish();
+          controller.close();
+        } else {
+          controller.enqueue(chunk);
+        }
+      },
+      cancel() {
+        finish();
+        self.postMessage({ type: "egress-fetch-cancel", id });
+      },
     });
-  } finally {
-    // Self-terminate (FaaS pattern)
+  } else {
+    finish();
+  }
+
+  const result = new Response(NULL_BODY_STATUSES.has(response.status) ? null : stream, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+  Object.defineProperty(result, "url", { value: request.url });
+  return result;
+}
+
+function urlTarget(url) {
+  return {
+    hostname: url.hostname.replace(/^\[(.*)\]$/, "$1"),
+    port: url.port || (url.protocol === "https:" || url.protocol === "wss:" ? 443 : 80),
+  };
+}
+
+// Redirects are followed here rather than by fetch itself, so every hop is checked
+globalThis.fetch = async (input, init) => {
+  let request = new Request(input, init);
+  let url = new URL(request.url);
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return nativeFetch(request);
+  }
+  const follow = request.redirect === "follow";
+  // Deno's own option, which a Request doesn't carry
+  const options = { client: init?.client, redirect: follow ? "manual" : request.redirect };
+
+  for (let redirects = 0; ; redirects++) {
+    const { hostname, port } = urlTarget(url);
+    // Keep a copy of the body in case a 307/308 has to send it again
+    const replay = follow && request.body ? request.clone() : null;
+    const response = await guardConnection(hostname, port, () => {
+      return egressProxy ? fetchThroughExecutor(request) : nativeFetch(request, options);
+    });
+    if (egressProxy && request.redirect === "error" && REDIRECT_STATUSES.has(response.status)) {
+      await response.body?.cancel();
+      throw new TypeError(`Fetch of ${request.url} was redirected`);
+    }
+
+    const location = response.headers.get("location");
+    if (!follow || !REDIRECT_STATUSES.has(response.status) || location === null) {
+      return response;
+    }
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) {
+      throw new TypeError(`Too many redirects fetching ${request.url}`);
+    }
+
+    // The same rules fetch itself applies to a redirect
+    const next = new URL(location, url);
+    const headers = new Headers(request.headers);
+    if (next.origin !== url.origin) {
+      headers.delete("authorization");
+    }
+    const keepBody = response.status === 307 || response.status === 308;
+    const method = !keepBody && request.method !== "GET" && request.method !== "HEAD" ? "GET" : request.method;
+    if (!keepBody) {
+      for (const name of ["content-type", "content-length", "content-encoding", "content-language", "content-location"]) {
+        headers.delete(name);
+      }
+    }
+    url = next;
+    request = new Request(url, {
+      method,
+      headers,
+      body: keepBody ? replay?.body ?? null : null,
+      signal: request.signal,
+    });
+  }
+};
+
+Deno.connect = (options) => {
+  if (options?.transport && options.transport !== "tcp") {
+    return nativeConnect(options);
+  }
+  const hostname = options?.hostname ?? "127.0.0.1";
+  return guardConnection(hostname, options?.port, () => {
+    return egressProxy ? openTunnel(hostname, options.port) : nativeConnect(options);
+  });
+};
+
+Deno.connectTls = (options) => {
+  const hostname = options?.hostname ?? "127.0.0.1";
+  return guardConnection(hostname, options?.port, async () => {
+    if (!egressProxy) return nativeConnectTls(options);
+    const { port: _port, hostname: _hostname, ...tlsOptions } = options;
+    return Deno.startTls(await openTunnel(hostname, options.port), { ...tlsOptions, hostname });
+  });
+};
+
+// A proxy of the function's own would be connected to without any of the checks above
+Deno.createHttpClient = (options = {}) => {
+  if (options.proxy) {
+    throw blockEgress(options.proxy.url ?? "proxy", "functions can't use a proxy");
+  }
+  return nativeCreateHttpClient(options);
+};
+
+// WebSocket and EventSource connect from their constructors, before the
+// executor could be asked, and can't use the egress proxy, so they are
+// limited to hosts the function lists explicitly
+function checkStreamingTarget(url) {
+  if (!egressProxy) {
+    return;
+  }
+  const { hostname, port } = urlTarget(new URL(url, "http://invalid"));
+  throw blockEgress(`${hostname}:${port}`, "list the host in the function's network permission to open streaming connections");
+}
+
+if (NativeWebSocket) {
+  globalThis.WebSocket = class WebSocket extends NativeWebSocket {
+    constructor(url, protocols) {
+      checkStreamingTarget(url);
+      super(url, protocols);
+    }
+  };
+}
+
+if (NativeEventSource) {
+  globalThis.EventSource = class EventSource extends NativeEventSource {
+    constructor(url, options) {
+      checkStreamingTarget(url);
+      super(url, options);
+    }
+  };
+}
+
+// Workers have no hard heap cap, so the isolate polices its own heap between
+// turns of the event loop; the parent's timeout covers code that never yields
+setInterval(() => {
+  if (!memoryLimitBytes) return;
+  const { heapUsed } = Deno.memoryUsage();
+  if (heapUsed > memoryLimitBytes) {
+    self.postMessage({ type: "oom", heapUsed });
     self.close();
   }
+}, MEMORY_CHECK_INTERVAL_MS);
+
+self.onmessage = (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case "load":
+      return preload(message);
+    case "invoke":
+      return invoke(message);
+    case "pull":
+      return pull();
+    case "egress-proxy":
+      return useEgressProxy(message);
+    case "egress-fetch-response":
+    case "egress-fetch-chunk":
+      return egressFetches.get(message.id)?.resolve(message);
+    case "egress-fetch-error":
+      return egressFetches.get(message.id)?.reject(new TypeError(message.error));
+    case "egress-result": {
+      const resolve = pendingEgressChecks.get(message.id);
+      pendingEgressChecks.delete(message.id);
+      return resolve?.(message);
+    }
+  }
 };
+
+function useEgressProxy({ hostname, port, token }) {
+  egressProxy = { hostname, port, token };
+}
+
+function applySettings({ env, memoryLimitMb }) {
+  currentEnv = new Map(Object.entries(env || {}));
+  memoryLimitBytes = (memoryLimitMb || 0) * 1024 * 1024;
+}
+
+/**
+ * Imports the user's code once; every later invocation calls the handler
+ * directly with a Request built from the caller's. Module-format code is
+ * imported as written, so its top-level state lives as long as the worker.
+ */
+async function load({ code, language, format }) {
+  // Snippets are wrapped in a handler module. The body runs in its own inner
+  // scope, so snippets may still declare their own `input` or `env`.
+  const source = format === "module" ? code : `
+    // User's request handler
+    export default async (req, input, env, ctx) => {
+      return await (async () => {
+        ${code}
+      })();
+    };
+  `;
+
+  // Deno can run both JavaScript and TypeScript directly
+  const mimeType = language === 'typescript' ? 'application/typescript' : 'application/javascript';
+  const blob = new Blob([source], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  let mod;
+  try {
+    mod = await import(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  if (format !== "module") {
+    const snippet = mod.default;
+    handler = (req, env) => snippet(req, currentInput, env, createContext());
+    return;
+  }
+
+  // export default { fetch(req, env, ctx) }, export default function (req, env, ctx),
+  // or a named `export function fetch`
+  const target = typeof mod.default?.fetch === "function"
+    ? mod.default.fetch.bind(mod.default)
+    : typeof mod.default === "function" ? mod.default : mod.fetch;
+  if (typeof target !== "function") {
+    throw new TypeError("Module must export a default { fetch } object, a default handler function, or a named fetch function");
+  }
+  handler = (req, env) => target(req, env, createContext());
+}
+
+// Per-request context (Cloudflare Workers style); snippets see it as `ctx`.
+// `params` holds the path parameters of the custom route that matched and
+// `caller` who invoked the function ({ type: "public" | "owner" | "api_key" | "cron", ... }).
+function createContext() {
+  return Object.freeze({
+    input: currentInput,
+    params: currentParams,
+    caller: currentCaller,
+    waitUntil(promise) {
+      pendingTasks.push(Promise.resolve(promise).catch((error) => {
+        console.error("waitUntil task failed:", error);
+      }));
+    },
+  });
+}
+
+/**
+ * Rebuilds the caller's request. The URL keeps the public host and scheme
+ * (from the forwarding headers) with the function-relative path, and
+ * `traceparent` points at the executor's span for this invocation.
+ */
+function buildRequest(request, traceparent) {
+  const headers = new Headers(request?.headers || []);
+  if (traceparent) {
+    headers.set("traceparent", traceparent);
+  }
+  const proto = headers.get("x-forwarded-proto") || "http";
+  const host = headers.get("x-forwarded-host") || headers.get("host") || "localhost";
+  const method = request?.method || "GET";
+
+  return new Request(new URL(request?.path || "/", `${proto}://${host}`), {
+    method,
+    headers,
+    body: method === "GET" || method === "HEAD" ? null : request?.body ?? null,
+  });
+}
+
+// Wall-clock time the parent can line up with its own spans
+function epochNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+async function preload(message) {
+  try {
+    applySettings(message);
+    await load(message);
+    self.postMessage({ type: "ready" });
+  } catch (error) {
+    self.postMessage({ type: "load-error", error: error.message, stack: error.stack });
+    self.close();
+  }
+}
+
+async function invoke(message) {
+  startTime = performance.now();
+  bodyReader = null;
+
+  try {
+    applySettings(message);
+    currentInput = message.input ?? null;
+    currentParams = Object.freeze({ ...message.request?.params });
+    currentCaller = Object.freeze(message.request?.caller ?? { type: "public" });
+    const timing = { loadStartedAt: null, loadEndedAt: null, handlerStartedAt: null };
+    if (!handler) {
+      timing.loadStartedAt = epochNow();
+      await load(message);
+      timing.loadEndedAt = epochNow();
+    }
+
+    // Call the handler in-process; only the head is sent now, the body
+    // follows chunk by chunk as the parent pulls it
+    timing.handlerStartedAt = epochNow();
+    const response = await handler(buildRequest(message.request, message.traceparent), Object.freeze(Object.fromEntries(currentEnv)));
+    if (!(response instanceof Response)) {
+      throw new TypeError("Function must return a Response");
+    }
+
+    self.postMessage({
+      type: "response",
+      status: response.status,
+      statusText: response.statusText,
+      headers: [...response.headers],
+      hasBody: response.body !== null,
+      timing,
+    });
+
+    if (!response.body) {
+      finish();
+      return;
+    }
+    bodyReader = response.body.getReader();
+  } catch (error) {
+    fail(error);
+  }
+}
+
+async function pull() {
+  try {
+    const { value, done } = await bodyReader.read();
+    if (done) {
+      finish();
+      return;
+    }
+    if (!(value instanceof Uint8Array)) {
+      bodyReader.cancel().catch(() => {});
+      throw new TypeError("Response body chunks must be Uint8Array");
+    }
+    // The function may still hold the chunk's buffer (other views into it, or
+    // state a warm worker reuses next time), so it is sent as a copy; only
+    // the copy's buffer, which nothing else can see, is transferred
+    const chunk = value.slice();
+    self.postMessage({ type: "chunk", chunk }, [chunk.buffer]);
+  } catch (error) {
+    fail(error);
+  }
+}
+
+async function finish() {
+  bodyReader = null;
+
+  // Background work from ctx.waitUntil() still counts toward this invocation
+  const tasks = pendingTasks;
+  pendingTasks = [];
+  await Promise.all(tasks);
+
+  // Stay alive: the executor decides whether this worker goes back to the pool
+  self.postMessage({
+    type: "done",
+    executionTimeMs: performance.now() - startTime
+  });
+}
+
+function fail(error) {
+  // A failed invocation leaves the worker in an unknown state; never reuse it
+  self.postMessage({
+    type: "error",
+    error: error.message,
+    stack: error.stack,
+    executionTimeMs: performance.now() - startTime
+  });
+
+  self.close();
+}
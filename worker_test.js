@@ -0,0 +1,324 @@
+// worker_test.js - Tests for the worker's response protocol and outbound network rules
+import assert from "node:assert/strict";
+
+// Loaded the way executor.js loads it, so the sandbox needs no read access
+const WORKER_SOURCE = await Deno.readTextFile(new URL("./worker.js", import.meta.url));
+const WORKER_URL = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: "application/javascript" }));
+const decoder = new TextDecoder();
+
+/**
+ * Starts worker.js with the executor's sandbox permissions plus `net`.
+ * `check(hostname)` answers egress checks (everything is allowed by default)
+ * and `egress(message, reply)` receives the egress-fetch messages of a
+ * net: true worker.
+ */
+function startWorker({ net = false, check = () => ({ allowed: true }), egress = () => {} } = {}) {
+  const worker = new Worker(WORKER_URL, {
+    type: "module",
+    deno: { permissions: { net, read: false, write: false, env: false, run: false, ffi: false } },
+  });
+  const logs = [];
+  const inbox = [];
+  let waiting = null;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === "log") {
+      logs.push(data.message);
+    } else if (data.type === "egress-check") {
+      worker.postMessage({ type: "egress-result", id: data.id, ...check(data.hostname) });
+    } else if (data.type.startsWith("egress-fetch")) {
+      egress(data, (message) => worker.postMessage({ ...message, id: data.id }));
+    } else if (waiting) {
+      waiting(data);
+      waiting = null;
+    } else {
+      inbox.push(data);
+    }
+  };
+  const next = () => inbox.length > 0 ? Promise.resolve(inbox.shift()) : new Promise((resolve) => waiting = resolve);
+
+  return {
+    logs,
+    inbox,
+    next,
+    post: (message) => worker.postMessage(message),
+    close: () => worker.terminate(),
+    invoke(code, { format = "snippet" } = {}) {
+      worker.postMessage({
+        type: "invoke",
+        code,
+        language: "javascript",
+        format,
+        input: null,
+        request: { method: "GET", path: "/", headers: [] },
+      });
+      return next();
+    },
+    // Pulls the rest of the body after the head
+    async readBody() {
+      const chunks = [];
+      for (;;) {
+        worker.postMessage({ type: "pull" });
+        const message = await next();
+        if (message.type !== "chunk") {
+          return message.type === "error"
+            ? { error: message.error, chunks }
+            : { text: chunks.map((chunk) => decoder.decode(chunk)).join(""), chunks };
+        }
+        chunks.push(message.chunk);
+      }
+    },
+  };
+}
+
+async function withWorker(options, fn) {
+  const worker = startWorker(options);
+  try {
+    await fn(worker);
+  } finally {
+    worker.close();
+  }
+}
+
+Deno.test("the head comes first and the body follows as the parent pulls", async () => {
+  await withWorker({}, async (worker) => {
+    const head = await worker.invoke(`
+      return new Response("hello world", { status: 201, headers: { "x-test": "1" } });
+    `);
+    assert.equal(head.type, "response");
+    assert.equal(head.status, 201);
+    assert.ok(head.headers.some(([name, value]) => name === "x-test" && value === "1"));
+    assert.equal(head.hasBody, true);
+
+    // Nothing more until the parent asks for it
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(worker.inbox.length, 0);
+
+    const { text } = await worker.readBody();
+    assert.equal(text, "hello world");
+  });
+});
+
+Deno.test("a response without a body is done at once", async () => {
+  await withWorker({}, async (worker) => {
+    const head = await worker.invoke(`return new Response(null, { status: 204 });`);
+    assert.equal(head.status, 204);
+    assert.equal(head.hasBody, false);
+    assert.equal((await worker.next()).type, "done");
+  });
+});
+
+Deno.test("the body is sent one chunk per pull", async () => {
+  await withWorker({}, async (worker) => {
+    await worker.invoke(`
+      return new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode("hello "));
+          controller.enqueue(new TextEncoder().encode("world"));
+          controller.close();
+        },
+      }));
+    `);
+    const { text, chunks } = await worker.readBody();
+    assert.equal(text, "hello world");
+    assert.equal(chunks.length, 2);
+  });
+});
+
+Deno.test("chunks that share a buffer arrive intact", async () => {
+  await withWorker({}, async (worker) => {
+    await worker.invoke(`
+      const bytes = new TextEncoder().encode("hello world");
+      return new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(bytes.subarray(0, 6));
+          controller.enqueue(bytes.subarray(6));
+          controller.close();
+        },
+      }));
+    `);
+    const { text, chunks } = await worker.readBody();
+    assert.equal(text, "hello world");
+    // Each chunk is copied out of the shared buffer rather than transferring all of it
+    assert.deepEqual(chunks.map((chunk) => chunk.buffer.byteLength), [6, 5]);
+  });
+});
+
+Deno.test("chunks the function keeps stay usable in a warm worker", async () => {
+  await withWorker({}, async (worker) => {
+    const code = `
+      const greeting = new TextEncoder().encode("hello");
+      export default {
+        fetch() {
+          return new Response(new ReadableStream({
+            start(controller) {
+              controller.enqueue(greeting);
+              controller.close();
+            },
+          }));
+        },
+      };
+    `;
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await worker.invoke(code, { format: "module" })).type, "response");
+      assert.equal((await worker.readBody()).text, "hello");
+    }
+  });
+});
+
+Deno.test("a chunk that isn't a Uint8Array fails the invocation", async () => {
+  await withWorker({}, async (worker) => {
+    await worker.invoke(`
+      return new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue("not bytes");
+        },
+      }));
+    `);
+    assert.equal((await worker.readBody()).error, "Response body chunks must be Uint8Array");
+  });
+});
+
+Deno.test("a function that throws fails the invocation", async () => {
+  await withWorker({}, async (worker) => {
+    const message = await worker.invoke(`console.log("starting"); throw new Error("boom");`);
+    assert.equal(message.type, "error");
+    assert.equal(message.error, "boom");
+    assert.deepEqual(worker.logs, ["starting"]);
+  });
+});
+
+Deno.test("functions have no network access by default", async () => {
+  using listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  await withWorker({}, async (worker) => {
+    await worker.invoke(`
+      try {
+        await fetch("http://127.0.0.1:${listener.addr.port}/");
+        return new Response("connected");
+      } catch (error) {
+        return new Response(error.name);
+      }
+    `);
+    assert.equal((await worker.readBody()).text, "NotCapable");
+    assert.deepEqual(worker.logs, [
+      `Blocked outbound connection to 127.0.0.1:${listener.addr.port}: not in the function's network allow-list`,
+    ]);
+  });
+});
+
+Deno.test("connections the executor refuses are blocked and logged", async () => {
+  const checked = [];
+  const check = (hostname) => {
+    checked.push(hostname);
+    return { allowed: false, reason: "private address" };
+  };
+  await withWorker({ net: true, check }, async (worker) => {
+    await worker.invoke(`
+      const errors = [];
+      for (const attempt of [() => fetch("http://10.0.0.1:8080/"), () => Deno.connect({ hostname: "10.0.0.1", port: 5432 })]) {
+        try {
+          await attempt();
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      return new Response(errors.join("\\n"));
+    `);
+    assert.equal((await worker.readBody()).text, [
+      "Outbound connection to 10.0.0.1:8080 is not allowed: private address",
+      "Outbound connection to 10.0.0.1:5432 is not allowed: private address",
+    ].join("\n"));
+    assert.deepEqual(checked, ["10.0.0.1", "10.0.0.1"]);
+    assert.deepEqual(worker.logs, [
+      "Blocked outbound connection to 10.0.0.1:8080: private address",
+      "Blocked outbound connection to 10.0.0.1:5432: private address",
+    ]);
+  });
+});
+
+Deno.test("functions can't start workers", async () => {
+  await withWorker({}, async (worker) => {
+    await worker.invoke(`
+      try {
+        new Worker("data:text/javascript,", { type: "module" });
+        return new Response("started");
+      } catch (error) {
+        return new Response(error.name);
+      }
+    `);
+    assert.equal((await worker.readBody()).text, "NotCapable");
+  });
+});
+
+Deno.test("permissions still hold when the in-isolate checks are bypassed", async () => {
+  using listener = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  await withWorker({ net: ["example.com:443"] }, async (worker) => {
+    // node:net never goes through the patched Deno.connect
+    await worker.invoke(`
+      const net = await import("node:net");
+      try {
+        await new Promise((resolve, reject) => {
+          net.connect(${listener.addr.port}, "127.0.0.1").on("connect", resolve).on("error", reject);
+        });
+        return new Response("connected");
+      } catch (error) {
+        return new Response(error.name);
+      }
+    `);
+    assert.equal((await worker.readBody()).text, "NotCapable");
+  });
+});
+
+Deno.test("net: true fetches are made by the executor", async () => {
+  const requests = [];
+  const body = ["left", "-pad"].map((text) => new TextEncoder().encode(text));
+  const egress = (message, reply) => {
+    if (message.type === "egress-fetch") {
+      requests.push({ ...message, body: decoder.decode(message.body) });
+      reply({ type: "egress-fetch-response", status: 200, statusText: "OK", headers: [["x-test", "1"]], hasBody: true });
+    } else if (message.type === "egress-fetch-pull") {
+      reply(body.length > 0 ? { type: "egress-fetch-chunk", chunk: body.shift() } : { type: "egress-fetch-chunk", done: true });
+    }
+  };
+  await withWorker({ net: ["127.0.0.1:1"], egress }, async (worker) => {
+    worker.post({ type: "egress-proxy", hostname: "127.0.0.1", port: 1, token: "secret" });
+    await worker.invoke(`
+      const response = await fetch("https://registry.example.com/left-pad", { method: "POST", body: "query" });
+      return new Response(response.status + " " + response.headers.get("x-test") + " " + await response.text());
+    `);
+    assert.equal((await worker.readBody()).text, "200 1 left-pad");
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, "https://registry.example.com/left-pad");
+    assert.equal(requests[0].method, "POST");
+    assert.equal(requests[0].body, "query");
+  });
+});
+
+Deno.test("net: true sockets are tunneled through the egress proxy", async () => {
+  using proxy = Deno.listen({ hostname: "127.0.0.1", port: 0 });
+  const { port } = proxy.addr;
+  // Refuses every tunnel the way the proxy does for a private target
+  const served = (async () => {
+    using conn = await proxy.accept();
+    const buffer = new Uint8Array(4096);
+    const head = decoder.decode(buffer.subarray(0, await conn.read(buffer)));
+    await conn.write(new TextEncoder().encode("HTTP/1.1 403 private address\r\n\r\n"));
+    return head;
+  })();
+
+  await withWorker({ net: [`127.0.0.1:${port}`] }, async (worker) => {
+    worker.post({ type: "egress-proxy", hostname: "127.0.0.1", port, token: "secret" });
+    await worker.invoke(`
+      try {
+        await Deno.connect({ hostname: "93.184.215.14", port: 443 });
+        return new Response("connected");
+      } catch (error) {
+        return new Response(error.message);
+      }
+    `);
+    assert.equal((await worker.readBody()).text, "Outbound connection to 93.184.215.14:443 is not allowed: private address");
+    const head = await served;
+    assert.match(head, /^CONNECT 93\.184\.215\.14:443 HTTP\/1\.1\r\n/);
+    assert.match(head, new RegExp(`Proxy-Authorization: Basic ${btoa("secret:")}\r\n`));
+  });
+});